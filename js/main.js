@@ -6,15 +6,45 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { RGBShiftShader } from 'three/addons/shaders/RGBShiftShader.js';
 import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
 // Import modules
 import { initWebGPU, webgpuSystem, useWebGPU } from './modules/webgpu.js';
 import { 
   controlState, 
   colorPalettes, 
-  initializeControlPanel
+  modelPaletteIndex,
+  initializeControlPanel,
+  buildBlendShapeControls,
+  buildShapeLibrary,
+  buildProceduralControls,
+  buildNodeTree,
+  buildTimelineKeyframes,
+  syncTimelineTransport,
+  setActivePalette
 } from './modules/controls.js';
+import { loadShapeManifest } from './modules/manifest.js';
+import { fontExtensions, loadFont, createTextModel } from './modules/text.js';
+import { proceduralShapes, getProceduralDefaults, createProceduralTarget } from './modules/procedural.js';
+import {
+  defaultSampling, extractMeshes, describeNodes, applyNodeSettings, computeBounds,
+  samplePoints, sampleColors, sampleNormals, samplePointCloud, sampleImage
+} from './modules/sampling.js';
+import { defaultPlacement, computePlacement, applyPlacement } from './modules/placement.js';
+import {
+  hashBytes, targetCacheKey, getCachedTarget, putCachedTarget, clearTargetCache, getTargetCacheUsage
+} from './modules/targetcache.js';
+import { workerFormats, sampleInWorker } from './modules/targetworker.js';
+import { loadBakedManifest, loadBakedTarget } from './modules/baked.js';
+import { loadModel, loadFileBytes, extensionOf, getModelExtensions } from './modules/sources.js';
+import { trackLoading } from './modules/loadingstatus.js';
+import {
+  needsRig, createRig, playRigClip, updateRig, rigNeedsUpdate, reorderRig,
+  getRigBlendShape, setRigBlendShape
+} from './modules/animation.js';
+import { matchParticles, permuteItems } from './modules/correspondence.js';
+import { defaultEase } from './modules/easing.js';
+import { createTransition } from './modules/transitions.js';
+import { defaultKeyframe, parseSequence, createTimeline } from './modules/timeline.js';
 
 // Mobile detection - must be defined early as it's used throughout
 const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -101,94 +131,222 @@ if (!isMobile) {
 }
 
 
-// GLB loading cache for performance
+// In-memory cache for this session, least recently used first. Kept small: it holds live rigs and
+// failed loads, everything else also lives in the persistent cache (targetcache.js).
 const glbCache = new Map();
+const GLB_CACHE_SIZE = 16;
+
+function rememberTarget(cacheKey, target) {
+  glbCache.delete(cacheKey);
+  glbCache.set(cacheKey, target);
+  if (glbCache.size > GLB_CACHE_SIZE) glbCache.delete(glbCache.keys().next().value);
+  return target;
+}
+
+// Resolves to a morph target: { positions, colors, normals, rig } with one entry per particle.
+// Despite the name it samples any format registered in sources.js: GLB, GLTF, OBJ, STL, PLY, FBX
+// meshes, PLY, XYZ/CSV, PCD, LAS point clouds and PNG, JPG, WebP, SVG images.
+// rig is set for files with animation clips or blend shapes. Meshes also report their scene nodes:
+// nodeTree (see describeNodes), sourceNodes (node id per sampled mesh) and particleNodes (index into
+// sourceNodes per particle, -1 for points not on a mesh). A file that cannot be read or yields
+// no points resolves to loadError(reason) - failures are not cached, so they can be retried.
+// options:
+//   format      overrides the extension for blob URLs
+//   placement   normalize, center, up, rotation, offset (see placement.js)
+//   nodes       { [node id]: { include, weight } } - which parts of the scene get particles, how densely
+//   signal      aborting it rejects with an AbortError and nothing is cached
+//   onProgress  (fraction 0-1 or null, stage 'loading' | 'sampling')
+// Shapes baked by tools/bake-targets.mjs load straight from their point files; other GLB/GLTF
+// files are sampled in a worker when possible.
+async function createGLBPoints(filePath, totalPoints, scale = 10.0, sampling = {}, options = {}) {
+  const { format, placement = {}, nodes = {}, signal, onProgress = () => {} } = options;
+  const reportDownload = (event) => onProgress(event.total ? event.loaded / event.total : null, 'loading');
 
-async function createGLBPoints(filePath, totalPoints, scale = 10.0) {
   // Check cache first
-  const cacheKey = `${filePath}_${totalPoints}_${scale}`;
+  const cacheKey = `${filePath}_${totalPoints}_${scale}_${JSON.stringify(sampling)}_${JSON.stringify(placement)}_${JSON.stringify(nodes)}`;
   if (glbCache.has(cacheKey)) {
-    return glbCache.get(cacheKey);
+    return rememberTarget(cacheKey, glbCache.get(cacheKey));
   }
 
-  return new Promise((resolve, reject) => {
-    const loader = new GLTFLoader();
-    loader.load(
-      filePath,
-      (gltf) => {
-        const vertices = [];
-        const tempVertex = new THREE.Vector3();
-        
-        gltf.scene.traverse((child) => {
-          if (child.isMesh && child.geometry) {
-            const geometry = child.geometry;
-            const positionAttribute = geometry.attributes.position;
-            if (positionAttribute) {
-              const matrix = child.matrixWorld;
-              const array = positionAttribute.array;
-              
-              // Optimized vertex extraction using direct array access
-              for (let i = 0; i < positionAttribute.count; i++) {
-                const i3 = i * 3;
-                tempVertex.set(array[i3], array[i3 + 1], array[i3 + 2]);
-                tempVertex.applyMatrix4(matrix);
-                tempVertex.multiplyScalar(scale);
-                vertices.push(tempVertex.clone());
-              }
-            }
-          }
-        });
-
-        if (vertices.length === 0) {
-          const emptyArray = new Float32Array(totalPoints * 3);
-          glbCache.set(cacheKey, emptyArray);
-          resolve(emptyArray);
-          return;
-        }
+  try {
+    const baked = await loadBakedTarget(filePath, { points: totalPoints, scale, sampling, placement, nodes }, signal);
+    if (baked) return rememberTarget(cacheKey, baked);
+  } catch (error) {
+    if (signal) signal.throwIfAborted();
+    console.warn(`Ignoring baked points for ${filePath}:`, error.message);
+  }
 
-        // Optimized centering and sampling
-        const box = new THREE.Box3().setFromPoints(vertices);
-        const center = box.getCenter(new THREE.Vector3());
-        
-        const pts = new Float32Array(totalPoints * 3);
-        const vertexCount = vertices.length;
-        
-        if (vertexCount >= totalPoints) {
-          // Uniform sampling for better distribution
-          for (let i = 0; i < totalPoints; i++) {
-            const idx = Math.floor((i / totalPoints) * vertexCount);
-            const v = vertices[idx];
-            const i3 = i * 3;
-            pts[i3] = v.x - center.x;
-            pts[i3 + 1] = v.y - center.y;
-            pts[i3 + 2] = v.z - center.z;
-          }
-        } else {
-          // Repeat vertices when we have fewer than needed
-          for (let i = 0; i < totalPoints; i++) {
-            const v = vertices[i % vertexCount];
-            const i3 = i * 3;
-            pts[i3] = v.x - center.x;
-            pts[i3 + 1] = v.y - center.y;
-            pts[i3 + 2] = v.z - center.z;
-          }
-        }
+  // Read the file once: its hash keys the persistent cache and the worker parses the same bytes.
+  // A failure here surfaces again, with the loader's own message, in loadModel below.
+  let bytes = null;
+  let storedKey = null;
+  try {
+    bytes = await loadFileBytes(filePath, reportDownload);
+    storedKey = targetCacheKey(await hashBytes(bytes), totalPoints, scale, sampling, placement, nodes);
+    const stored = await getCachedTarget(storedKey);
+    if (stored) return rememberTarget(cacheKey, stored);
+  } catch (error) {
+    if (signal) signal.throwIfAborted();
+    console.warn(`Not caching ${filePath}:`, error.message);
+  }
 
-        glbCache.set(cacheKey, pts);
-        resolve(pts);
-      },
-      (progress) => {
-        // Optional: Add loading progress feedback
-        console.log(`Loading ${filePath}: ${(progress.loaded / progress.total * 100).toFixed(1)}%`);
-      },
-      (error) => {
-        console.error('Error loading GLB:', error);
-        const fallbackArray = new Float32Array(totalPoints * 3);
-        glbCache.set(cacheKey, fallbackArray);
-        resolve(fallbackArray);
-      }
-    );
-  });
+  onProgress(null, 'sampling');
+  if (workerFormats.includes(format || extensionOf(filePath))) {
+    const request = { url: filePath, buffer: bytes, totalPoints, scale, sampling, placement, nodes };
+    const workerTarget = await sampleInWorker(request, signal);
+    if (workerTarget) {
+      if (storedKey) putCachedTarget(storedKey, workerTarget);
+      return rememberTarget(cacheKey, workerTarget);
+    }
+  }
+
+  let model;
+  try {
+    model = await loadModel(filePath, renderer, reportDownload, format);
+  } catch (error) {
+    if (signal) signal.throwIfAborted();
+    console.error('Error loading model:', error.message);
+    return loadError(error.message);
+  }
+
+  if (signal) signal.throwIfAborted();
+  onProgress(null, 'sampling');
+  let target;
+  if (model.cloud) {
+    // Point clouds are resampled directly, keeping their density and per-point color
+    const { positions, colors } = samplePointCloud(model.cloud, totalPoints, scale, sampling, placement);
+    target = model.cloud.positions.length > 0 ? { positions, colors, normals: null, rig: null } : loadError('the point cloud is empty');
+  } else if (model.image) {
+    // Images are laid out by pixel weight, optionally extruded by luminance
+    const image = sampleImage(model.image, totalPoints, scale, sampling, placement);
+    target = image.colors ? { ...image, rig: null } : loadError('the image has nothing to place particles on');
+  } else {
+    target = sampleModelTarget(model, totalPoints, scale, sampling, placement, nodes);
+  }
+  if (target.error) return target;
+
+  // Rigs need the live scene, so animated models are re-loaded after a reload
+  if (storedKey && !target.rig) putCachedTarget(storedKey, target);
+  return rememberTarget(cacheKey, target);
+}
+
+// What a failed load resolves to: no points, just the reason
+function loadError(message) {
+  return { positions: null, colors: null, normals: null, rig: null, error: message };
+}
+
+// Samples a loaded { scene, animations } model into a morph target, leaving out the nodes
+// settings exclude
+function sampleModelTarget(model, totalPoints, scale, sampling, placement, nodes = {}) {
+  const allMeshes = extractMeshes(model.scene);
+
+  if (allMeshes.length === 0) {
+    return loadError('the file contains no meshes');
+  }
+
+  const { meshes, weights } = applyNodeSettings(allMeshes, nodes);
+  if (meshes.length === 0) {
+    return { ...loadError('every node is excluded'), nodeTree: describeNodes(model.scene) };
+  }
+
+  const samples = samplePoints(meshes, totalPoints, scale, sampling, placement, weights);
+  return {
+    positions: samples.positions,
+    colors: sampleColors(meshes, samples),
+    normals: sampleNormals(meshes, samples),
+    rig: needsRig(model, meshes) ? createRig(model, meshes, samples) : null,
+    nodeTree: describeNodes(model.scene),
+    sourceNodes: meshes.map(mesh => mesh.node),
+    particleNodes: Int32Array.from(samples.mesh)
+  };
+}
+
+// Text targets are rebuilt on every keystroke, so unlike files they skip the cache
+async function createTextPoints(text, totalPoints, scale = 1.0, sampling = {}, placement = {}) {
+  try {
+    const model = await createTextModel(text);
+    return sampleModelTarget(model, totalPoints, scale, sampling, placement);
+  } catch (error) {
+    console.error('Error creating text target:', error.message);
+    return loadError(error.message);
+  }
+}
+
+// The shape library - the morph button cycles through it in order. It starts out as the shapes
+// listed in shapes.json; uploaded files are added with a blob URL as path and their extension as format.
+const shapeManifestUrl = './shapes.json';
+// Written by tools/bake-targets.mjs; optional
+const bakedManifestUrl = './baked/manifest.json';
+const shapeDefaults = { scale: 12.0, sampling: defaultSampling, placement: defaultPlacement };
+const defaultMorphDuration = 4; // seconds at morph speed 1
+const shapeConfigs = [];
+
+// Procedural shapes are generated in scene units and placed like files, so natively scale multiplies them
+function createProceduralPoints(procedural, totalPoints, scale = 1.0, sampling = {}, placement = {}) {
+  const target = createProceduralTarget(procedural.type, totalPoints, procedural.params, sampling.seed);
+  const source = { positions: target.positions };
+  applyPlacement(computePlacement([source], computeBounds([source]), scale, placement), target.positions, target.normals);
+  return target;
+}
+
+// Shown instead when the manifest or every file in it fails to load
+const fallbackShapeTypes = ['fibonacci', 'torusKnot', 'galaxy', 'dna'];
+
+function proceduralConfig(type, params = {}) {
+  return {
+    name: proceduralShapes[type].label,
+    procedural: { type, params: { ...getProceduralDefaults(type), ...params } },
+    scale: 1.0,
+    sampling: { ...defaultSampling },
+    placement: { ...defaultPlacement }
+  };
+}
+
+// Takes the place of a shape that failed to load, so its slot in the morph cycle still shows something
+const standInShapeType = 'fibonacci';
+
+// File loads show up in the loading list. A shape that fails keeps its error on the target - the
+// library marks it and offers a retry - while its particles form the stand-in shape instead.
+// signal only cancels file loads; text and procedural shapes are quick to finish anyway.
+async function loadShapeTarget(config, totalPoints, signal = undefined) {
+  if (config.procedural) {
+    return createProceduralPoints(config.procedural, totalPoints, config.scale, config.sampling, config.placement);
+  }
+
+  let target;
+  if (config.text) {
+    target = await createTextPoints(config.text, totalPoints, config.scale, config.sampling, config.placement);
+  } else {
+    const status = trackLoading(config, config.name || config.path);
+    try {
+      target = await createGLBPoints(config.path, totalPoints, config.scale, config.sampling, {
+        format: config.format,
+        placement: config.placement,
+        nodes: config.nodes,
+        signal,
+        onProgress: (fraction, stage) => (stage === 'sampling' ? status.sampling() : status.progress(fraction))
+      });
+    } catch (error) {
+      status.done();
+      throw error;
+    }
+    if (!target.error) {
+      status.done();
+    } else if (shapeConfigs.includes(config)) {
+      status.fail(target.error, () => reloadShape(config));
+    } else {
+      status.fail(target.error);
+    }
+  }
+  if (!target.error) return target;
+
+  // The node tree stays, so a shape whose nodes were all excluded can be switched back on
+  const standIn = { type: standInShapeType, params: getProceduralDefaults(standInShapeType) };
+  return { ...createProceduralPoints(standIn, totalPoints, 1.0, config.sampling), error: target.error, nodeTree: target.nodeTree };
+}
+
+function loadShapeTargets(totalPoints, signal = undefined) {
+  return Promise.all(shapeConfigs.map(config => loadShapeTarget(config, totalPoints, signal)));
 }
 
 const count = controlState.particleCount; // Use control state particle count
@@ -199,21 +357,34 @@ let currentTargetIndex = 0;
 const particleCount = isMobile ? Math.min(count, 1500) : count;
 
 async function initializeTargets() {
-  // Parallel loading for better performance
-  const loadPromises = [
-    createGLBPoints('./glb/logo.glb', particleCount, 12.0),
-    createGLBPoints('./glb/life.glb', particleCount, 12.0),
-    createGLBPoints('./glb/nati.glb', particleCount, 12.0)
-  ];
-  
   try {
-    targets = await Promise.all(loadPromises);
+    if (shapeConfigs.length === 0) {
+      try {
+        const manifest = await loadShapeManifest(shapeManifestUrl, shapeDefaults);
+        shapeConfigs.push(...manifest.shapes);
+        if (manifest.timeline) timeline.setSequence(manifest.timeline);
+      } catch (error) {
+        console.error('Failed to load shape manifest:', error.message);
+      }
+    }
+    const bakedCount = await loadBakedManifest(bakedManifestUrl);
+    if (bakedCount > 0) console.log(`${bakedCount} baked targets available from ${bakedManifestUrl}`);
+    
+    // Parallel loading for better performance
+    targets = await loadShapeTargets(particleCount);
+    
+    // Nothing loaded - fall back to generated shapes so there is still something to morph between
+    if (targets.every(target => target.error)) {
+      console.warn('No shapes could be loaded, using procedural shapes instead');
+      shapeConfigs.splice(0, shapeConfigs.length, ...fallbackShapeTypes.map(type => proceduralConfig(type)));
+      targets = await loadShapeTargets(particleCount);
+    }
     particles.userData.targets = targets;
     
     // Set initial position to first GLB model
     if (targets.length > 0) {
       const positionArray = particles.geometry.attributes.position.array;
-      const targetArray = targets[0];
+      const targetArray = targets[0].positions;
       
       // Safely copy target positions, handling size mismatches
       const copyLength = Math.min(positionArray.length, targetArray.length);
@@ -229,12 +400,18 @@ async function initializeTargets() {
       }
       
       particles.geometry.attributes.position.needsUpdate = true;
+      particles.userData.normals = targets[0].normals && Float32Array.from(targets[0].normals);
+      
+      const shapeDisplay = document.getElementById('shapeDisplay');
+      if (shapeDisplay) shapeDisplay.textContent = shapeName(0);
+      applyShapeStyle(shapeConfigs[0], 0);
     }
     
-    console.log(`Loaded ${targets.length} GLB models with ${particleCount} particles each`);
+    console.log(`Loaded ${targets.length} shapes from ${shapeManifestUrl} with ${particleCount} particles each`);
+    refreshCacheStatus();
     return targets;
   } catch (error) {
-    console.error('Failed to load GLB models:', error);
+    console.error('Failed to load shapes:', error);
     return [];
   }
 }
@@ -503,6 +680,7 @@ function applySparkle(sys, t) {
   const cols = sys.geometry.attributes.color;
   const { origCols, twinkle } = sys.userData;
   const colArray = cols.array;
+  const shade = controlState.normalShading ? sys.userData.shade : null;
   
   // Use direct array access for better performance
   for (let i = 0; i < cols.count; i++) {
@@ -511,14 +689,63 @@ function applySparkle(sys, t) {
       const b = 1 + 4 * p;
       const oc = origCols[i];
       const i3 = i * 3;
-      colArray[i3] = oc.r * b;
-      colArray[i3 + 1] = oc.g * b;
-      colArray[i3 + 2] = oc.b * b;
+      colArray[i3] = oc.r * b * (shade ? shade[i3] : 1);
+      colArray[i3 + 1] = oc.g * b * (shade ? shade[i3 + 1] : 1);
+      colArray[i3 + 2] = oc.b * b * (shade ? shade[i3 + 2] : 1);
     }
   }
   cols.needsUpdate = true;
 }
 
+// Normal-aware shading: particles facing dirLight/dirLight2 brighten, the rest dim
+const shadingLights = [dirLight, dirLight2];
+const shadingLightDir = new THREE.Vector3();
+const inverseParticleMatrix = new THREE.Matrix4();
+
+function applyNormalShading(sys) {
+  const { normals, origCols } = sys.userData;
+  if (!normals) return;
+  
+  if (!sys.userData.shade || sys.userData.shade.length !== normals.length) {
+    sys.userData.shade = new Float32Array(normals.length).fill(1);
+  }
+  const shade = sys.userData.shade;
+  const colArray = sys.geometry.attributes.color.array;
+  
+  // Bring the light directions into particle space once instead of rotating every normal
+  sys.updateMatrixWorld();
+  inverseParticleMatrix.copy(sys.matrixWorld).invert();
+  const lights = shadingLights.map(light => {
+    shadingLightDir.copy(light.position).sub(light.target.position).transformDirection(inverseParticleMatrix);
+    return { dir: shadingLightDir.toArray(), color: light.color.toArray().map(c => c * light.intensity) };
+  });
+  const peak = shadingLights.reduce((sum, light) => sum + light.intensity, 0);
+  const strength = controlState.shadingStrength;
+  
+  for (let i = 0; i < origCols.length; i++) {
+    const i3 = i * 3;
+    const nx = normals[i3], ny = normals[i3 + 1], nz = normals[i3 + 2];
+    const length = Math.hypot(nx, ny, nz) || 1;
+    let r = 0, g = 0, b = 0;
+    for (const light of lights) {
+      const facing = Math.max(0, (nx * light.dir[0] + ny * light.dir[1] + nz * light.dir[2]) / length);
+      r += light.color[0] * facing;
+      g += light.color[1] * facing;
+      b += light.color[2] * facing;
+    }
+    
+    shade[i3] = 1 - strength + strength * 2 * r / peak;
+    shade[i3 + 1] = 1 - strength + strength * 2 * g / peak;
+    shade[i3 + 2] = 1 - strength + strength * 2 * b / peak;
+    
+    const oc = origCols[i];
+    colArray[i3] = oc.r * shade[i3];
+    colArray[i3 + 1] = oc.g * shade[i3 + 1];
+    colArray[i3 + 2] = oc.b * shade[i3 + 2];
+  }
+  sys.geometry.attributes.color.needsUpdate = true;
+}
+
 // Hover effects for Three.js fallback
 function applyHoverEffects(particles, controlState, time) {
   if (!particles || !particles.geometry || !controlState.hoverEnabled) return;
@@ -560,47 +787,107 @@ function applyHoverEffects(particles, controlState, time) {
   particles.geometry.attributes.color.needsUpdate = true;
 }
 
-function morph(toIndex) {
+// options.duration, options.ease and options.transition override the shape's own morph timing and
+// style (timeline segments)
+function morph(toIndex, options = {}) {
   console.log('Morph function called with index:', toIndex);
   console.log('useWebGPU:', useWebGPU);
   console.log('webgpuSystem available:', !!webgpuSystem);
   
   const pos = particles.geometry.attributes.position.array;
-  const dest = particles.userData.targets[toIndex];
+  const target = particles.userData.targets[toIndex];
   
-  if (!dest) {
+  if (!target) {
     console.error('No destination target found for index:', toIndex);
     return;
   }
   
+  // Pair particles with nearby points instead of by index, if the transition style asks for it
+  if (target.positions.length === pos.length) {
+    const order = matchParticles(pos, target.positions, controlState.particlePairing);
+    if (order) reorderTarget(target, order);
+  }
+  
+  const dest = target.positions;
   console.log('Destination points:', dest.length);
   console.log('Current position array length:', pos.length);
   
   // Update shape display
-  const shapes = ['Logo', 'Life', 'Nati'];
   const shapeDisplay = document.getElementById('shapeDisplay');
   if (shapeDisplay) {
-    shapeDisplay.textContent = shapes[toIndex] || `Shape ${toIndex + 1}`;
+    shapeDisplay.textContent = shapeName(toIndex);
+  }
+  refreshShapeLibrary();
+  
+  // Reflect the shape's sampling options in the panel
+  const config = shapeConfigs[toIndex] || {};
+  if (config.sampling) {
+    const { sampling } = config;
+    const samplingSelect = document.getElementById('samplingMode');
+    if (samplingSelect) samplingSelect.value = sampling.mode;
+    const imageWeightSelect = document.getElementById('imageWeight');
+    if (imageWeightSelect) imageWeightSelect.value = sampling.imageWeight;
+    const distributionSelect = document.getElementById('samplingDistribution');
+    if (distributionSelect) distributionSelect.value = sampling.distribution || 'raw';
+    ['volumeMix', 'edgeAngle', 'edgeDensity', 'imageDepth'].forEach(key => {
+      const slider = document.getElementById(key);
+      const valueDisplay = document.getElementById(key + 'Value');
+      if (slider && valueDisplay) {
+        slider.value = sampling[key];
+        valueDisplay.textContent = sampling[key];
+      }
+    });
+  }
+  
+  // ...and where it sits
+  if (config.placement) {
+    syncPlacementPanel(config.scale, config.placement);
+  }
+  
+  // Text shapes also show what they spell and how
+  if (config.text) {
+    syncTextPanel(config.text);
   }
   
+  updateAnimationPanel(target);
+  updateProceduralPanel(config);
+  updateNodePanel(config, target);
+  
   // Use control state for morph speed
-  const duration = 4 / controlState.morphSpeed;
+  const duration = options.duration !== undefined
+    ? options.duration
+    : (config.morphDuration !== undefined ? config.morphDuration : defaultMorphDuration) / controlState.morphSpeed;
+  const ease = options.ease || defaultEase;
+  const transition = createTransition(
+    Float32Array.from(pos), dest, options.transition || config.transition || controlState.transition, ease
+  );
+  morphEndTime = performance.now() + duration * 1000;
+  applyShapeStyle(config, duration);
   
   // TEMPORARILY: Always use Three.js morphing to debug
   console.log('FORCED Three.js morphing for debugging');
   console.log('Starting position sample:', pos.slice(0, 9));
   console.log('Target position sample:', dest.slice(0, 9));
   
-  // Fallback to Three.js morphing
+  // Normals follow the shape, each in step with its particle, so shading stays consistent mid-morph
+  const normals = particles.userData.normals;
+  const normalTransition = normals && target.normals
+    ? transition.follow(Float32Array.from(normals), target.normals)
+    : null;
+  
+  // Fallback to Three.js morphing. The tween drives the transition's progress; the transition
+  // eases each particle itself, so the tween runs linear
   if (typeof gsap !== 'undefined') {
-    gsap.killTweensOf(pos);
-    gsap.to(pos, {
-      endArray: dest,
+    if (morphTween) morphTween.kill();
+    const playhead = { progress: 0 };
+    morphTween = gsap.to(playhead, {
+      progress: 1,
       duration: duration,
-      ease: 'power2.inOut',
+      ease: 'none',
       onUpdate: () => {
+        transition.apply(pos, playhead.progress);
+        if (normalTransition) normalTransition.apply(normals, playhead.progress);
         particles.geometry.attributes.position.needsUpdate = true;
-        console.log('GSAP morphing - position updated');
       },
       onComplete: () => {
         console.log('GSAP morphing complete');
@@ -609,7 +896,13 @@ function morph(toIndex) {
   } else {
     // Manual morphing without GSAP
     console.log('Using manual morphing');
-    manualMorph(pos, dest, duration);
+    manualMorph(pos, dest, duration, undefined, ease, transition);
+    if (normalTransition) manualMorph(normals, target.normals, duration, () => {}, ease, normalTransition);
+  }
+  
+  // Model palette blends toward the destination model's own colors
+  if (controlState.colorPalette === modelPaletteIndex && target.colors) {
+    blendModelColors(target.colors, duration, ease);
   }
   
   /* ORIGINAL WebGPU CODE - COMMENTED OUT FOR DEBUGGING
@@ -639,6 +932,88 @@ function morph(toIndex) {
   */
 }
 
+// The GSAP tween of the morph under way, stopped when the next one starts
+let morphTween = null;
+
+// Puts a target's points in the given order (see correspondence.js), keeping colors, normals,
+// node ids and the rig in step
+function reorderTarget(target, order) {
+  target.positions = permuteItems(target.positions, order, 3);
+  if (target.colors) target.colors = permuteItems(target.colors, order, 3);
+  if (target.normals) target.normals = permuteItems(target.normals, order, 3);
+  if (target.particleNodes) target.particleNodes = permuteItems(target.particleNodes, order, 1);
+  if (target.rig) reorderRig(target.rig, order);
+}
+
+// Manifest shapes may bring their own palette and camera framing
+function applyShapeStyle(config, duration) {
+  if (config.palette !== undefined && config.palette !== controlState.colorPalette) {
+    setActivePalette(config.palette);
+    // The model palette blends in alongside the morph instead of switching at once
+    if (config.palette !== modelPaletteIndex || duration === 0) {
+      updateParticleColors(config.palette);
+    }
+  }
+  if (config.camera) {
+    frameCamera(config.camera, duration);
+  }
+}
+
+function frameCamera({ position, target }, duration) {
+  [[camera.position, position], [controls.target, target]].forEach(([vector, to]) => {
+    if (!to) return;
+    if (typeof gsap !== 'undefined' && duration > 0) {
+      gsap.killTweensOf(vector);
+      gsap.to(vector, { x: to[0], y: to[1], z: to[2], duration: duration, ease: 'power2.inOut' });
+    } else {
+      vector.fromArray(to);
+    }
+  });
+}
+
+// Animated targets hold their pose while particles assemble, then the particles follow the rig
+let morphEndTime = 0;
+
+function updateAnimatedTarget(dt) {
+  const target = particles.userData.targets[shapeIndex];
+  if (!target || !target.rig || performance.now() < morphEndTime) return;
+  if (!rigNeedsUpdate(target.rig)) return;
+  
+  updateRig(target.rig, target.positions, dt * controlState.animationSpeed);
+  particles.geometry.attributes.position.array.set(target.positions);
+  particles.geometry.attributes.position.needsUpdate = true;
+}
+
+// Lists the clips and blend shapes of the current shape, or disables the picker for static shapes
+function updateAnimationPanel(target) {
+  const rig = target && target.rig;
+  const blendShapes = rig ? [...rig.blendShapes.keys()] : [];
+  buildBlendShapeControls(blendShapes.map(name => ({ name, value: getRigBlendShape(rig, name) })));
+  
+  const clipSelect = document.getElementById('animationClip');
+  if (!clipSelect) return;
+  
+  clipSelect.innerHTML = '';
+  clipSelect.disabled = !rig || rig.clips.length === 0;
+  if (clipSelect.disabled) {
+    clipSelect.add(new Option('No animation', ''));
+    return;
+  }
+  
+  rig.clips.forEach((clip, i) => clipSelect.add(new Option(clip.name || `Clip ${i + 1}`, i)));
+  clipSelect.value = rig.clipIndex;
+}
+
+function updateAnimationClip(clipIndex) {
+  const target = particles.userData.targets[shapeIndex];
+  if (target && target.rig) playRigClip(target.rig, clipIndex);
+}
+
+function updateBlendShape(name, value) {
+  const target = particles.userData.targets[shapeIndex];
+  if (target && target.rig) setRigBlendShape(target.rig, name, value);
+}
+
 // Sync WebGPU computed particles with Three.js geometry for visual updates
 async function syncWebGPUParticles() {
   if (!webgpuSystem || !particles) return;
@@ -701,26 +1076,27 @@ function animateMorphProgress(duration) {
   animate();
 }
 
-// Manual morphing without GSAP
-function manualMorph(pos, dest, duration) {
+// Manual morphing without GSAP. Like gsap.killTweensOf, a new morph of the same array stops the
+// one still running on it. A transition (see transitions.js) moves the values along its own paths;
+// without one they go straight to dest in the given ease.
+const manualMorphs = new WeakMap();
+
+function manualMorph(pos, dest, duration, onUpdate = () => {
+  particles.geometry.attributes.position.needsUpdate = true;
+}, ease = defaultEase, transition = null) {
   console.log('Manual morph started, duration:', duration);
-  const startPositions = [...pos];
+  const path = transition || createTransition(Float32Array.from(pos), dest, undefined, ease);
   const startTime = performance.now();
+  const token = {};
+  manualMorphs.set(pos, token);
   
   function animate() {
+    if (manualMorphs.get(pos) !== token) return;
     const elapsed = (performance.now() - startTime) / 1000;
-    const progress = Math.min(elapsed / duration, 1);
-    
-    // Easing function (power2.inOut equivalent)
-    const easedProgress = progress < 0.5 
-      ? 2 * progress * progress 
-      : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+    const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+    path.apply(pos, progress);
     
-    for (let i = 0; i < pos.length; i++) {
-      pos[i] = startPositions[i] + (dest[i] - startPositions[i]) * easedProgress;
-    }
-    
-    particles.geometry.attributes.position.needsUpdate = true;
+    onUpdate();
     
     if (progress < 1) {
       requestAnimationFrame(animate);
@@ -750,8 +1126,7 @@ document.getElementById('morphButton').addEventListener('click', () => {
     }, 150);
     
     // Update button text or add indicator
-    const shapes = ['Logo', 'Life', 'Nati'];
-    morphButton.title = `Current: ${shapes[shapeIndex] || 'Shape ' + (shapeIndex + 1)}`;
+    morphButton.title = `Current: ${shapeName(shapeIndex)}`;
     
     morph(shapeIndex);
   } else {
@@ -804,6 +1179,13 @@ function animate() {
     }
   }
   
+  // Animated GLB targets re-sample their skinned pose every frame
+  updateAnimatedTarget(dt);
+  
+  // A playing timeline morphs on its own schedule
+  timeline.tick(dt);
+  if (timeline.playing) syncTimelineTransport(timeline);
+  
   // Update interactive fiber connections (mouse and proximity-based)
   if (controlState.fibersEnabled) {
     updateInteractiveFibers();
@@ -820,6 +1202,10 @@ function animate() {
     fpsDisplay.textContent = fps;
   }
   
+  if (controlState.normalShading) {
+    applyNormalShading(particles);
+  }
+  
   applySparkle(particles, time);
   controls.update();
   composer.render();
@@ -850,6 +1236,12 @@ function cleanupUnusedResources() {
 function updateParticleColors(paletteIndex) {
   if (!particles || !particles.userData.origCols) return;
   
+  if (paletteIndex === modelPaletteIndex) {
+    const target = particles.userData.targets[shapeIndex];
+    if (target && target.colors) applyModelColors(target.colors);
+    return;
+  }
+  
   const palette = colorPalettes[paletteIndex];
   const { origCols } = particles.userData;
   const cols = particles.geometry.attributes.color;
@@ -875,6 +1267,45 @@ function updateParticleColors(paletteIndex) {
   cols.needsUpdate = true;
 }
 
+// Writes per-particle model colors into the base colors used by sparkle
+function applyModelColors(colors) {
+  const { origCols } = particles.userData;
+  const cols = particles.geometry.attributes.color;
+  const count = Math.min(origCols.length, colors.length / 3);
+  
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    origCols[i].setRGB(colors[i3], colors[i3 + 1], colors[i3 + 2]);
+    cols.array[i3] = colors[i3];
+    cols.array[i3 + 1] = colors[i3 + 1];
+    cols.array[i3 + 2] = colors[i3 + 2];
+  }
+  
+  cols.needsUpdate = true;
+}
+
+// Tweens the current base colors to another model's colors alongside the morph
+function blendModelColors(destColors, duration, ease = defaultEase) {
+  const { origCols } = particles.userData;
+  if (!particles.userData.blendColors) {
+    particles.userData.blendColors = new Float32Array(origCols.length * 3);
+  }
+  const current = particles.userData.blendColors;
+  origCols.forEach((color, i) => color.toArray(current, i * 3));
+  
+  if (typeof gsap !== 'undefined') {
+    gsap.killTweensOf(current);
+    gsap.to(current, {
+      endArray: destColors,
+      duration: duration,
+      ease: ease,
+      onUpdate: () => applyModelColors(current)
+    });
+  } else {
+    manualMorph(current, destColors, duration, () => applyModelColors(current), ease);
+  }
+}
+
 function updateParticleSize(size) {
   if (particles && particles.material) {
     particles.material.size = size;
@@ -899,14 +1330,498 @@ function updateBloomRadius(radius) {
   }
 }
 
+// Turning shading off restores the unshaded base colors
+function toggleNormalShading(enabled) {
+  if (enabled || !particles) return;
+  
+  const { origCols } = particles.userData;
+  const cols = particles.geometry.attributes.color;
+  origCols.forEach((color, i) => color.toArray(cols.array, i * 3));
+  cols.needsUpdate = true;
+}
+
 function toggleFiberVisibility(enabled) {
   if (fiberLines) {
     fiberLines.visible = enabled;
   }
 }
 
+// Re-sample the current shape with changed sampling options and morph into it
+let samplingRequest = 0;
+
+async function updateShapeSampling(changes) {
+  const config = shapeConfigs[shapeIndex];
+  if (!config) return;
+  
+  Object.assign(config.sampling, changes);
+  await resampleCurrentShape(config);
+}
+
+// Placement edits re-sample too; the panel's scale is natively a multiplier, otherwise the fitted size
+async function updateShapePlacement(changes) {
+  const config = shapeConfigs[shapeIndex];
+  if (!config) return;
+  
+  const { scale, ...placement } = changes;
+  if (scale !== undefined) config.scale = scale;
+  Object.assign(config.placement, placement);
+  await resampleCurrentShape(config);
+}
+
+// Node edits ({ include } or { weight }) apply to the node and everything below it
+async function updateShapeNode(id, changes) {
+  const config = shapeConfigs[shapeIndex];
+  if (!config || !config.path) return;
+  
+  const nodes = config.nodes || {};
+  config.nodes = { ...nodes, [id]: { ...nodes[id], ...changes } };
+  await resampleCurrentShape(config);
+}
+
+function updateNodePanel(config, target) {
+  const tree = config.path && target && target.nodeTree ? target.nodeTree : [];
+  buildNodeTree(tree, config.nodes || {});
+}
+
+let samplingController = null;
+
+// Runs sample(totalPoints) at the current particle count, and again if the count changes while it
+// runs - a target of the old length would only move part of the particles
+async function sampleAtParticleCount(sample) {
+  let totalPoints;
+  let target;
+  do {
+    totalPoints = particles.geometry.attributes.position.count;
+    target = await sample(totalPoints);
+  } while (!target.error && totalPoints !== particles.geometry.attributes.position.count);
+  return target;
+}
+
+async function resampleCurrentShape(config) {
+  const request = ++samplingRequest;
+  // A newer slider move supersedes this one - stop the old work instead of letting it finish
+  if (samplingController) samplingController.abort();
+  samplingController = new AbortController();
+  const { signal } = samplingController;
+  let target;
+  try {
+    target = await sampleAtParticleCount(totalPoints => loadShapeTarget(config, totalPoints, signal));
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    throw error;
+  }
+  
+  // Text and procedural shapes are not aborted, so still check
+  if (request !== samplingRequest) return;
+  
+  // The library may have been reordered, or the shape removed, while it sampled
+  const index = shapeConfigs.indexOf(config);
+  if (index < 0) return;
+  
+  targets[index] = target;
+  particles.userData.targets = targets;
+  if (index === shapeIndex) {
+    morph(index);
+  } else {
+    refreshShapeLibrary();
+  }
+}
+
+function syncPlacementPanel(scale, placement) {
+  const selects = { placementNormalize: placement.normalize, placementCenter: placement.center, placementUp: placement.up };
+  Object.entries(selects).forEach(([id, value]) => {
+    const select = document.getElementById(id);
+    if (select) select.value = value;
+  });
+
+  const values = { shapeScale: scale };
+  ['X', 'Y', 'Z'].forEach((axis, k) => {
+    values['shapeRotation' + axis] = placement.rotation[k];
+    values['shapeOffset' + axis] = placement.offset[k];
+  });
+  Object.entries(values).forEach(([id, value]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + 'Value');
+    if (slider && valueDisplay) {
+      slider.value = value;
+      valueDisplay.textContent = value;
+    }
+  });
+}
+
+// =================================================================================================
+// Target Cache
+// =================================================================================================
+
+async function refreshCacheStatus() {
+  const status = document.getElementById('targetCacheStatus');
+  if (!status) return;
+  const { entries, bytes } = await getTargetCacheUsage();
+  status.textContent = `${entries} cached point sets, ${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Forgets every sampled target; shapes already in the library keep theirs until re-sampled
+async function clearPointCache() {
+  glbCache.clear();
+  try {
+    await clearTargetCache();
+  } catch (error) {
+    console.error('Failed to clear the point cache:', error.message);
+  }
+  refreshCacheStatus();
+}
+
+// =================================================================================================
+// Shape Library
+// =================================================================================================
+
+function shapeName(index) {
+  return (shapeConfigs[index] && shapeConfigs[index].name) || `Shape ${index + 1}`;
+}
+
+function refreshShapeLibrary() {
+  const errors = shapeConfigs.map((config, i) => (targets[i] && targets[i].error) || null);
+  buildShapeLibrary(shapeConfigs.map((config, i) => shapeName(i)), shapeIndex, errors);
+  refreshTimelinePanel();
+}
+
+// Loads a shape again, e.g. after a failure; it may have moved or gone by the time that finishes
+async function reloadShape(config) {
+  if (!shapeConfigs.includes(config)) return;
+  const target = await sampleAtParticleCount(totalPoints => loadShapeTarget(config, totalPoints));
+  const index = shapeConfigs.indexOf(config);
+  if (index < 0) return;
+  
+  targets[index] = target;
+  particles.userData.targets = targets;
+  if (index === shapeIndex) {
+    morph(index);
+  } else {
+    refreshShapeLibrary();
+  }
+}
+
+function retryShape(index) {
+  if (shapeConfigs[index]) reloadShape(shapeConfigs[index]);
+}
+
+// Samples dropped or picked files and appends each one that loads to the library
+async function addShapeFiles(files) {
+  const extensions = getModelExtensions();
+  let firstAdded = -1;
+  
+  for (const file of files) {
+    const format = extensionOf(file.name);
+    if (!extensions.includes(format)) {
+      console.warn(`Skipping ${file.name}: unsupported format (supported: ${extensions.join(', ')})`);
+      continue;
+    }
+    
+    const config = {
+      name: file.name.slice(0, file.name.length - format.length - 1),
+      path: URL.createObjectURL(file),
+      format,
+      scale: shapeDefaults.scale,
+      sampling: { ...defaultSampling },
+      // Files come in any unit, so uploads are fitted to the size of the bundled models
+      placement: { ...defaultPlacement, normalize: 'longest' }
+    };
+    const target = await sampleAtParticleCount(totalPoints => loadShapeTarget(config, totalPoints));
+    if (target.error) {
+      URL.revokeObjectURL(config.path);
+      continue;
+    }
+    
+    shapeConfigs.push(config);
+    targets.push(target);
+    particles.userData.targets = targets;
+    if (firstAdded < 0) firstAdded = targets.length - 1;
+  }
+  
+  if (firstAdded >= 0) {
+    selectShape(firstAdded);
+  }
+}
+
+function selectShape(index) {
+  if (!particles.userData.targets[index]) return;
+  shapeIndex = index;
+  morph(shapeIndex);
+}
+
+function renameShape(index, name) {
+  if (!shapeConfigs[index]) return;
+  // Timeline keyframes refer to shapes by name, so they follow the rename
+  const oldName = shapeName(index);
+  const keyframes = timeline.sequence.keyframes.map(keyframe => (keyframe.shape === oldName ? { ...keyframe, shape: name } : keyframe));
+  shapeConfigs[index].name = name;
+  editTimeline({ keyframes });
+  if (index === shapeIndex) {
+    const shapeDisplay = document.getElementById('shapeDisplay');
+    if (shapeDisplay) shapeDisplay.textContent = name;
+  }
+  refreshShapeLibrary();
+}
+
+// Config and target arrays move together; the current shape stays current wherever it ends up
+function moveShape(from, to) {
+  if (!shapeConfigs[from] || !shapeConfigs[to]) return;
+  const current = shapeConfigs[shapeIndex];
+  
+  shapeConfigs.splice(to, 0, ...shapeConfigs.splice(from, 1));
+  targets.splice(to, 0, ...targets.splice(from, 1));
+  particles.userData.targets = targets;
+  
+  shapeIndex = shapeConfigs.indexOf(current);
+  refreshShapeLibrary();
+}
+
+function removeShape(index) {
+  if (!shapeConfigs[index] || shapeConfigs.length === 1) return;
+  
+  const [config] = shapeConfigs.splice(index, 1);
+  targets.splice(index, 1);
+  particles.userData.targets = targets;
+  
+  // Uploaded files own a blob URL and cached samples that nothing else can reach now
+  if (config.path && config.path.startsWith('blob:')) {
+    URL.revokeObjectURL(config.path);
+    for (const key of glbCache.keys()) {
+      if (key.startsWith(`${config.path}_`)) glbCache.delete(key);
+    }
+  }
+  
+  if (index < shapeIndex) {
+    shapeIndex--;
+    refreshShapeLibrary();
+  } else if (index === shapeIndex) {
+    shapeIndex = Math.min(shapeIndex, shapeConfigs.length - 1);
+    morph(shapeIndex);
+  } else {
+    refreshShapeLibrary();
+  }
+}
+
+// =================================================================================================
+// Procedural Shapes
+// =================================================================================================
+
+function addProceduralShape(type) {
+  if (!proceduralShapes[type]) return;
+  const config = proceduralConfig(type);
+  const totalPoints = particles.geometry.attributes.position.count;
+  shapeConfigs.push(config);
+  targets.push(createProceduralPoints(config.procedural, totalPoints, config.scale, config.sampling, config.placement));
+  particles.userData.targets = targets;
+  selectShape(targets.length - 1);
+}
+
+// Shows the parameter sliders of the current shape when it is procedural
+function updateProceduralPanel(config) {
+  const procedural = config && config.procedural;
+  buildProceduralControls(procedural ? procedural.type : null, procedural ? procedural.params : {});
+}
+
+// Generation is synchronous, so every slider move regenerates and morphs straight away
+function updateProceduralShape(changes) {
+  const config = shapeConfigs[shapeIndex];
+  if (!config || !config.procedural) return;
+  
+  Object.assign(config.procedural.params, changes);
+  const totalPoints = particles.geometry.attributes.position.count;
+  targets[shapeIndex] = createProceduralPoints(config.procedural, totalPoints, config.scale, config.sampling, config.placement);
+  particles.userData.targets = targets;
+  morph(shapeIndex);
+}
+
+// =================================================================================================
+// Text Shapes
+// =================================================================================================
+
+// Panel settings for the next text shape; font undefined means the bundled typeface
+let textSettings = { string: '', font: undefined, fontFormat: undefined, size: 3, depth: 0.5 };
+let textRequest = 0;
+
+// Edits the current shape if it is text, otherwise adds a new text shape, then morphs to it
+async function updateTextShape(changes) {
+  const current = shapeConfigs[shapeIndex];
+  const editing = current && current.text ? current : null;
+  const text = { ...(editing ? editing.text : textSettings), ...changes };
+  textSettings = text;
+  if (!text.string.trim()) return;
+  
+  const request = ++textRequest;
+  const sampling = editing ? editing.sampling : { ...defaultSampling, mode: 'surface' };
+  const placement = editing ? editing.placement : { ...defaultPlacement };
+  const scale = editing ? editing.scale : 1.0;
+  const target = await sampleAtParticleCount(totalPoints => createTextPoints(text, totalPoints, scale, sampling, placement));
+  
+  // Typing faster than sampling - only the latest text is kept
+  if (request !== textRequest || target.error) return;
+  
+  const index = editing ? shapeConfigs.indexOf(editing) : -1;
+  if (index >= 0) {
+    // The name follows the text until the user renames the shape
+    if (editing.name === editing.text.string) editing.name = text.string;
+    editing.text = text;
+    targets[index] = target;
+    shapeIndex = index;
+  } else {
+    shapeConfigs.push({ name: text.string, text, scale, sampling, placement });
+    targets.push(target);
+    shapeIndex = targets.length - 1;
+  }
+  particles.userData.targets = targets;
+  morph(shapeIndex);
+}
+
+async function loadTextFont(file) {
+  const format = extensionOf(file.name);
+  if (!fontExtensions.includes(format)) {
+    console.warn(`Skipping ${file.name}: fonts must be ${fontExtensions.join(', ')}`);
+    return;
+  }
+  
+  const url = URL.createObjectURL(file);
+  try {
+    await loadFont(url, format);
+  } catch (error) {
+    console.error('Error loading font:', error.message);
+    URL.revokeObjectURL(url);
+    return;
+  }
+  updateTextShape({ font: url, fontFormat: format });
+}
+
+function syncTextPanel(text) {
+  textSettings = text;
+  const input = document.getElementById('textString');
+  if (input && input !== document.activeElement) input.value = text.string;
+  ['size', 'depth'].forEach(key => {
+    const id = 'text' + key[0].toUpperCase() + key.slice(1);
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + 'Value');
+    if (slider && valueDisplay && text[key] !== undefined) {
+      slider.value = text[key];
+      valueDisplay.textContent = text[key];
+    }
+  });
+}
+
+// =================================================================================================
+// Timeline
+// =================================================================================================
+// Runs a sequence of shape keyframes (see timeline.js) through morph(). Keyframes name their shapes,
+// so reordering the library does not change the show.
+
+const timeline = createTimeline({ mode: 'loop', autoplay: false, keyframes: [] }, {
+  onStep: playKeyframe,
+  onChange: refreshTimelinePanel
+});
+
+// Library index of a keyframe's shape (a name, or an index as written in JSON), -1 if it is gone
+function keyframeShapeIndex(shape) {
+  if (Number.isInteger(shape)) return shape < shapeConfigs.length ? shape : -1;
+  return shapeConfigs.findIndex((config, i) => shapeName(i) === shape);
+}
+
+function playKeyframe(keyframe, duration, ease, transition) {
+  const index = keyframeShapeIndex(keyframe.shape);
+  if (index < 0 || !particles.userData.targets[index]) {
+    console.warn(`Timeline: no shape ${JSON.stringify(keyframe.shape)} in the library, skipping it`);
+    return;
+  }
+  shapeIndex = index;
+  morph(index, { duration, ease, transition });
+}
+
+let timelinePanelKey = '';
+
+// The keyframe list is only rebuilt when it or the library names changed, so editing a field is
+// not interrupted by the playhead
+function refreshTimelinePanel() {
+  const names = shapeConfigs.map((config, i) => shapeName(i));
+  const key = JSON.stringify([names, timeline.sequence]);
+  if (key !== timelinePanelKey) {
+    timelinePanelKey = key;
+    buildTimelineKeyframes(timeline.sequence.keyframes, names);
+  }
+  syncTimelineTransport(timeline);
+}
+
+function editTimeline(changes) {
+  timeline.setSequence({ ...timeline.sequence, ...changes });
+}
+
+// Appends the current shape with the default timing
+function addKeyframe() {
+  editTimeline({ keyframes: [...timeline.sequence.keyframes, { ...defaultKeyframe, shape: shapeName(shapeIndex) }] });
+}
+
+function updateKeyframe(index, changes) {
+  const keyframes = timeline.sequence.keyframes.map((keyframe, i) => (i === index ? { ...keyframe, ...changes } : keyframe));
+  editTimeline({ keyframes });
+}
+
+function moveKeyframe(from, to) {
+  const keyframes = [...timeline.sequence.keyframes];
+  if (!keyframes[from] || !keyframes[to]) return;
+  keyframes.splice(to, 0, keyframes.splice(from, 1)[0]);
+  editTimeline({ keyframes });
+}
+
+function removeKeyframe(index) {
+  editTimeline({ keyframes: timeline.sequence.keyframes.filter((keyframe, i) => i !== index) });
+}
+
+function setTimelineMode(mode) {
+  editTimeline({ mode });
+}
+
+function toggleTimeline() {
+  if (timeline.playing) timeline.pause();
+  else timeline.play();
+}
+
+function seekTimeline(time) {
+  timeline.seek(time);
+}
+
+// Downloads the sequence as JSON; autoplay is set so the saved show starts by itself from shapes.json
+function saveTimeline() {
+  const { mode, keyframes } = timeline.sequence;
+  const json = JSON.stringify({ mode, autoplay: true, keyframes }, null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'timeline.json';
+  link.click();
+  // Revoking at once can cancel the download before the browser has started it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function loadTimeline(file) {
+  let sequence;
+  try {
+    sequence = parseSequence(JSON.parse(await file.text()), file.name);
+  } catch (error) {
+    console.error('Error loading timeline:', error.message);
+    return;
+  }
+  timeline.pause();
+  timeline.setSequence(sequence);
+  timeline.seek(0);
+  if (sequence.autoplay) timeline.play();
+}
+
+// Slider drags call this repeatedly; each call cancels the sampling still running for the last one
+let particleCountController = null;
+
 async function updateParticleCount(newCount) {
   const actualCount = isMobile ? Math.min(newCount, 1500) : newCount;
+  if (particleCountController) particleCountController.abort();
+  const controller = new AbortController();
+  particleCountController = controller;
   
   // Remove existing particles from scene
   if (particles) {
@@ -981,19 +1896,21 @@ async function updateParticleCount(newCount) {
   
   // Reload targets with new particle count
   try {
-    const loadPromises = [
-      createGLBPoints('./glb/logo.glb', actualCount, 12.0),
-      createGLBPoints('./glb/life.glb', actualCount, 12.0),
-      createGLBPoints('./glb/nati.glb', actualCount, 12.0)
-    ];
-    
-    targets = await Promise.all(loadPromises);
+    const configs = [...shapeConfigs];
+    const loaded = await loadShapeTargets(actualCount, controller.signal);
+    if (controller.signal.aborted) return;
+    // Matched by config, as the library may change meanwhile; files added since were sampled at
+    // the new count already (see addShapeFiles) and keep their own targets
+    targets = shapeConfigs.map((config, i) => {
+      const k = configs.indexOf(config);
+      return k >= 0 ? loaded[k] : targets[i];
+    });
     particles.userData.targets = targets;
     
     // Set initial position to current target
     if (targets.length > 0 && targets[shapeIndex]) {
       const positionArray = particles.geometry.attributes.position.array;
-      const targetArray = targets[shapeIndex];
+      const targetArray = targets[shapeIndex].positions;
       
       // Safely copy target positions, handling size mismatches
       const copyLength = Math.min(positionArray.length, targetArray.length);
@@ -1009,6 +1926,12 @@ async function updateParticleCount(newCount) {
       }
       
       particles.geometry.attributes.position.needsUpdate = true;
+      particles.userData.normals = targets[shapeIndex].normals && Float32Array.from(targets[shapeIndex].normals);
+    }
+    
+    // Model colors depend on the freshly sampled targets
+    if (controlState.colorPalette === modelPaletteIndex) {
+      updateParticleColors(modelPaletteIndex);
     }
     
     console.log(`Updated particle system: ${actualCount} particles`);
@@ -1018,6 +1941,7 @@ async function updateParticleCount(newCount) {
     if (display) display.textContent = actualCount;
     
   } catch (error) {
+    if (error.name === 'AbortError') return;
     console.error('Failed to reload GLB models with new particle count:', error);
   }
 }
@@ -1044,6 +1968,10 @@ gsapScript.onload = async () => {
     
     await initializeTargets();
     initializeControlPanel(renderer, webgpuSystem, useWebGPU);
+    updateAnimationPanel(targets[shapeIndex]);
+    updateProceduralPanel(shapeConfigs[shapeIndex]);
+    updateNodePanel(shapeConfigs[shapeIndex] || {}, targets[shapeIndex]);
+    refreshShapeLibrary();
     
     // Set up control panel update functions
     window.updateParticleColors = updateParticleColors;
@@ -1053,9 +1981,38 @@ gsapScript.onload = async () => {
     window.updateBloomStrength = updateBloomStrength;
     window.updateBloomRadius = updateBloomRadius;
     window.toggleFiberVisibility = toggleFiberVisibility;
+    window.toggleNormalShading = toggleNormalShading;
+    window.updateAnimationClip = updateAnimationClip;
+    window.updateBlendShape = updateBlendShape;
+    window.updateShapeSampling = updateShapeSampling;
+    window.updateShapePlacement = updateShapePlacement;
+    window.updateShapeNode = updateShapeNode;
+    window.clearPointCache = clearPointCache;
+    window.retryShape = retryShape;
+    window.addShapeFiles = addShapeFiles;
+    window.selectShape = selectShape;
+    window.renameShape = renameShape;
+    window.moveShape = moveShape;
+    window.removeShape = removeShape;
+    window.updateTextShape = updateTextShape;
+    window.loadTextFont = loadTextFont;
+    window.addProceduralShape = addProceduralShape;
+    window.updateProceduralShape = updateProceduralShape;
+    window.addKeyframe = addKeyframe;
+    window.updateKeyframe = updateKeyframe;
+    window.moveKeyframe = moveKeyframe;
+    window.removeKeyframe = removeKeyframe;
+    window.setTimelineMode = setTimelineMode;
+    window.toggleTimeline = toggleTimeline;
+    window.seekTimeline = seekTimeline;
+    window.saveTimeline = saveTimeline;
+    window.loadTimeline = loadTimeline;
     
     animate();
     
+    // A show from shapes.json starts by itself
+    if (timeline.sequence.autoplay) timeline.play();
+    
     // Set up periodic cleanup for mobile devices
     if (isMobile) {
       setInterval(cleanupUnusedResources, 30000); // Every 30 seconds
@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { placePoint } from './placement.js';
+import { selectSamples } from './sampling.js';
+import { permuteItems } from './correspondence.js';
+
+// =================================================================================================
+// Animated GLB Rigs
+// =================================================================================================
+// A rig keeps a loaded GLB scene alive so its samples (mesh, vertices, barycentric weights)
+// can be re-evaluated every frame in the skinned / animated / blend-shaped pose.
+
+const _vertex = new THREE.Vector3();
+const _sum = new THREE.Vector3();
+
+function posedVertex(object, index, out) {
+  // Applies morph targets and bone transforms, then the node's world matrix
+  object.getVertexPosition(index, out);
+  return out.applyMatrix4(object.matrixWorld);
+}
+
+// Interpolates a sample's three vertices, either from rest positions or the live pose
+function evaluateSample(rig, i, posed, out) {
+  const { meshes, samples } = rig;
+  const mesh = meshes[samples.mesh[i]];
+  const i3 = i * 3;
+  out.set(0, 0, 0);
+  for (let k = 0; k < 3; k++) {
+    const weight = samples.weights[i3 + k];
+    if (weight === 0) continue;
+    const index = samples.vertices[i3 + k];
+    if (posed) {
+      posedVertex(mesh.object, index, _vertex);
+    } else {
+      _vertex.fromArray(mesh.positions, index * 3);
+    }
+    out.addScaledVector(_vertex, weight);
+  }
+  return out;
+}
+
+// Interior and unbound samples keep their rest offset from the surface point they follow
+function computeRestOffsets(rig) {
+  const { samples } = rig;
+  const offsets = new Float32Array(samples.count * 3);
+  for (let i = 0; i < samples.count; i++) {
+    if (samples.mesh[i] < 0) continue;
+    evaluateSample(rig, i, false, _sum);
+    placePoint(samples.placement, _sum.x, _sum.y, _sum.z, offsets, i * 3);
+    for (let k = 0; k < 3; k++) {
+      offsets[i * 3 + k] = samples.positions[i * 3 + k] - offsets[i * 3 + k];
+    }
+  }
+  return offsets;
+}
+
+// Blend shape name -> every (mesh, influence slot) that carries it
+function collectBlendShapes(meshes) {
+  const blendShapes = new Map();
+  for (const { object } of meshes) {
+    if (!object.morphTargetDictionary) continue;
+    for (const [name, index] of Object.entries(object.morphTargetDictionary)) {
+      if (!blendShapes.has(name)) blendShapes.set(name, []);
+      blendShapes.get(name).push({ object, index });
+    }
+  }
+  return blendShapes;
+}
+
+// Only files with animation clips or blend shapes need a rig
+function needsRig(model, meshes) {
+  return model.animations.length > 0 || meshes.some(({ object }) => object.morphTargetInfluences);
+}
+
+function createRig(model, meshes, samples) {
+  const rig = {
+    scene: model.scene,
+    meshes,
+    samples,
+    mixer: new THREE.AnimationMixer(model.scene),
+    clips: model.animations,
+    clipIndex: -1,
+    action: null,
+    blendShapes: collectBlendShapes(meshes),
+    dirty: false
+  };
+  rig.offsets = computeRestOffsets(rig);
+  if (rig.clips.length > 0) playRigClip(rig, 0);
+  return rig;
+}
+
+function getRigBlendShape(rig, name) {
+  const slots = rig.blendShapes.get(name);
+  return slots ? slots[0].object.morphTargetInfluences[slots[0].index] : 0;
+}
+
+function setRigBlendShape(rig, name, value) {
+  const slots = rig.blendShapes.get(name);
+  if (!slots) return;
+  for (const { object, index } of slots) object.morphTargetInfluences[index] = value;
+  rig.dirty = true;
+}
+
+// Playing clips change the pose every frame; blend shape edits only when touched
+function rigNeedsUpdate(rig) {
+  return rig.action !== null || rig.dirty;
+}
+
+function playRigClip(rig, clipIndex) {
+  const clip = rig.clips[clipIndex];
+  if (!clip || clipIndex === rig.clipIndex) return;
+  if (rig.action) rig.action.fadeOut(0.3);
+  rig.action = rig.mixer.clipAction(clip).reset().fadeIn(0.3).play();
+  rig.clipIndex = clipIndex;
+}
+
+// Advances the animation and writes the posed sample positions into positions
+function updateRig(rig, positions, deltaTime) {
+  const { samples, offsets } = rig;
+  rig.dirty = false;
+  rig.mixer.update(deltaTime);
+  rig.scene.updateMatrixWorld(true);
+
+  for (let i = 0; i < samples.count; i++) {
+    if (samples.mesh[i] < 0) continue;
+    evaluateSample(rig, i, true, _sum);
+    const i3 = i * 3;
+    placePoint(samples.placement, _sum.x, _sum.y, _sum.z, positions, i3);
+    positions[i3] += offsets[i3];
+    positions[i3 + 1] += offsets[i3 + 1];
+    positions[i3 + 2] += offsets[i3 + 2];
+  }
+}
+
+// Follows a reordering of the target's points, so the rig keeps writing each sample to its particle
+function reorderRig(rig, order) {
+  const { placement } = rig.samples;
+  rig.samples = selectSamples(rig.samples, order);
+  rig.samples.placement = placement;
+  rig.offsets = permuteItems(rig.offsets, order, 3);
+}
+
+export {
+  needsRig, createRig, playRigClip, updateRig, rigNeedsUpdate, reorderRig,
+  getRigBlendShape, setRigBlendShape
+};
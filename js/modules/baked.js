@@ -0,0 +1,180 @@
+// =================================================================================================
+// Baked Targets
+// =================================================================================================
+// Targets sampled ahead of time by tools/bake-targets.mjs, so the page can skip downloading and
+// parsing the model. A bake writes one binary point file per shape and particle count, plus a
+// manifest listing the settings each was sampled with:
+// {
+//   "version": 3,                          CACHE_VERSION of the sampling code that baked them
+//   "targets": [{
+//     "source": "../glb/logo.glb",         the model, relative to the manifest
+//     "file": "00-logo-2500.bin",          the points, relative to the manifest
+//     "points": 2500, "scale": 12, "sampling": {...}, "placement": {...}, "nodes": {...},
+//     "nodeTree": [...], "sourceNodes": [...]
+//   }]
+// }
+// A baked file is only used when all of those settings match the shape's; anything else (another
+// particle count, a moved slider, an animated model) is sampled on the page as usual.
+// Kept free of the 'three' import - the bake script shares this module under Node.
+
+import { CACHE_VERSION } from './targetcache.js';
+
+// Point file layout, little endian (as typed arrays are on every platform this runs on):
+//   header    magic 'PTGT', u32 format, u32 count, u32 flags, f32[6] position bounds min xyz, max xyz
+//   sections  positions, then colors, normals and particle nodes when their flag is set, each
+//             padded to 4 bytes. Quantized files hold positions as u16 within the bounds, colors as
+//             u16 in 0-1 and normals as i16 in -1-1; otherwise everything is f32. Nodes are i32.
+const BAKED_MAGIC = 0x54475450; // 'PTGT'
+const BAKED_FORMAT = 1;
+const HEADER_BYTES = 40;
+const FLAG_COLORS = 1;
+const FLAG_NORMALS = 2;
+const FLAG_QUANTIZED = 4;
+const FLAG_NODES = 8;
+
+const padded = bytes => Math.ceil(bytes / 4) * 4;
+
+function positionBounds(positions) {
+  const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      bounds[k] = Math.min(bounds[k], positions[i + k]);
+      bounds[k + 3] = Math.max(bounds[k + 3], positions[i + k]);
+    }
+  }
+  return positions.length > 0 ? bounds : [0, 0, 0, 0, 0, 0];
+}
+
+// Packs { positions, colors?, normals?, particleNodes? } into an ArrayBuffer
+function encodeBakedTarget(target, quantize = false) {
+  const { positions, colors, normals, particleNodes } = target;
+  const count = positions.length / 3;
+  const flags = (colors ? FLAG_COLORS : 0) | (normals ? FLAG_NORMALS : 0) |
+    (quantize ? FLAG_QUANTIZED : 0) | (particleNodes ? FLAG_NODES : 0);
+  const vectors = [positions, colors, normals].filter(Boolean).length;
+  const bytes = HEADER_BYTES + vectors * padded(count * 3 * (quantize ? 2 : 4)) + (particleNodes ? count * 4 : 0);
+
+  const buffer = new ArrayBuffer(bytes);
+  const bounds = positionBounds(positions);
+  new Uint32Array(buffer, 0, 4).set([BAKED_MAGIC, BAKED_FORMAT, count, flags]);
+  new Float32Array(buffer, 16, 6).set(bounds);
+
+  let offset = HEADER_BYTES;
+  const write = (ArrayType, values, pack = value => value) => {
+    const out = new ArrayType(buffer, offset, values.length);
+    for (let i = 0; i < values.length; i++) out[i] = pack(values[i], i);
+    offset += padded(out.byteLength);
+  };
+  if (quantize) {
+    write(Uint16Array, positions, (value, i) => {
+      const k = i % 3;
+      const range = bounds[k + 3] - bounds[k];
+      return range > 0 ? Math.round(((value - bounds[k]) / range) * 65535) : 0;
+    });
+    if (colors) write(Uint16Array, colors, value => Math.round(Math.min(1, Math.max(0, value)) * 65535));
+    if (normals) write(Int16Array, normals, value => Math.round(Math.min(1, Math.max(-1, value)) * 32767));
+  } else {
+    write(Float32Array, positions);
+    if (colors) write(Float32Array, colors);
+    if (normals) write(Float32Array, normals);
+  }
+  if (particleNodes) write(Int32Array, particleNodes);
+  return buffer;
+}
+
+// Unpacks a baked file into { positions, colors, normals, particleNodes }; missing sections are null
+function decodeBakedTarget(buffer) {
+  const [magic, format, count, flags] = new Uint32Array(buffer, 0, 4);
+  if (magic !== BAKED_MAGIC) throw new Error('not a baked point file');
+  if (format !== BAKED_FORMAT) throw new Error(`unsupported baked file format ${format}`);
+
+  const quantized = (flags & FLAG_QUANTIZED) !== 0;
+  const bounds = new Float32Array(buffer, 16, 6);
+  let offset = HEADER_BYTES;
+  // Always copies into a Float32Array (or Int32Array), so nothing keeps the file's buffer alive
+  const read = (ArrayType, length, unpack = null) => {
+    const packed = new ArrayType(buffer, offset, length);
+    offset += padded(packed.byteLength);
+    if (!unpack) return packed.slice();
+    return Float32Array.from(packed, unpack);
+  };
+
+  const positions = quantized
+    ? read(Uint16Array, count * 3, (value, i) => bounds[i % 3] + (value / 65535) * (bounds[i % 3 + 3] - bounds[i % 3]))
+    : read(Float32Array, count * 3);
+  let colors = null;
+  if (flags & FLAG_COLORS) {
+    colors = quantized ? read(Uint16Array, count * 3, value => value / 65535) : read(Float32Array, count * 3);
+  }
+  let normals = null;
+  if (flags & FLAG_NORMALS) {
+    normals = quantized ? read(Int16Array, count * 3, value => Math.max(-1, value / 32767)) : read(Float32Array, count * 3);
+  }
+  const particleNodes = flags & FLAG_NODES ? read(Int32Array, count) : null;
+  return { positions, colors, normals, particleNodes };
+}
+
+// JSON with sorted keys, so settings compare equal however their objects were built
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Identifies a sampled target: which model, how many points and every setting that shapes them
+function bakedTargetKey(source, { points, scale, sampling, placement, nodes = {} }) {
+  return stableStringify({ source, points, scale, sampling, placement, nodes });
+}
+
+// =================================================================================================
+// Loading
+// =================================================================================================
+
+let bakedEntries = new Map();
+
+// Reads the bake manifest; without one (nothing baked yet) every shape is sampled on the page
+async function loadBakedManifest(url) {
+  bakedEntries = new Map();
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return 0;
+    manifest = await response.json();
+  } catch (error) {
+    return 0;
+  }
+  if (manifest.version !== CACHE_VERSION) {
+    console.warn(`${url} was baked by an older version of the sampler - re-run tools/bake-targets.mjs`);
+    return 0;
+  }
+
+  const baseUrl = new URL(url, typeof document !== 'undefined' ? document.baseURI : undefined);
+  manifest.targets.forEach(entry => {
+    const source = new URL(entry.source, baseUrl).href;
+    bakedEntries.set(bakedTargetKey(source, entry), { ...entry, url: new URL(entry.file, baseUrl).href });
+  });
+  return bakedEntries.size;
+}
+
+// Resolves to the baked target for these settings, or null when there is none
+async function loadBakedTarget(source, settings, signal = undefined) {
+  const entry = bakedEntries.get(bakedTargetKey(source, settings));
+  if (!entry) return null;
+
+  const response = await fetch(entry.url, { signal });
+  if (!response.ok) {
+    throw new Error(`${entry.url}: ${response.status} ${response.statusText}`);
+  }
+  const target = decodeBakedTarget(await response.arrayBuffer());
+  if (target.positions.length !== settings.points * 3) {
+    throw new Error(`${entry.url}: holds ${target.positions.length / 3} points, expected ${settings.points}`);
+  }
+  return { ...target, rig: null, nodeTree: entry.nodeTree, sourceNodes: entry.sourceNodes };
+}
+
+export {
+  encodeBakedTarget, decodeBakedTarget, bakedTargetKey,
+  loadBakedManifest, loadBakedTarget
+};
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { getModelExtensions } from './sources.js';
+import { proceduralShapes } from './procedural.js';
+import { easeNames } from './easing.js';
+import { transitionStyles, transitionDefaults } from './transitions.js';
+import { correspondenceModes } from './correspondence.js';
 
 // WebGPU Detection
 let webgpuDevice = null;
@@ -466,6 +471,8 @@ const controlState = {
   turbulence: 0.1,
   attraction: 1.0,
   morphSpeed: 2.0,
+  particlePairing: 'index', // see correspondence.js
+  transition: transitionDefaults('direct'), // see transitions.js
   rotationSpeed: 0.005,
   bloomStrength: isMobile ? 1.0 : 1.4,
   bloomRadius: isMobile ? 0.6 : 0.8,
@@ -478,6 +485,9 @@ const controlState = {
   particleTrail: true,
   mouseInfluence: 1.0,
   autoRotate: false,
+  normalShading: false,
+  shadingStrength: 0.6,
+  animationSpeed: 1.0,
   respawnRate: 0.2 // Rate at which particles respawn
   
 
@@ -493,6 +503,12 @@ const colorPalettes = [
   [new THREE.Color(0xa8edea), new THREE.Color(0xfed6e3), new THREE.Color(0x81c784), new THREE.Color(0x66bb6a), new THREE.Color(0x4caf50), new THREE.Color(0x388e3c)]  // Mint
 ];
 
+// Palette slot after the fixed palettes: particles take the loaded model's own colors
+const modelPaletteIndex = colorPalettes.length;
+
+// Names for the palette swatches, in order - used by shapes.json
+const paletteNames = ['cyberpunk', 'sunset', 'ocean', 'galaxy', 'rose', 'mint', 'model'];
+
 // Preset configurations
 const presets = {
   organic: { particleCount: 3000, particleSize: 0.025, fibersEnabled: true, fiberStrength: 0.3, connectionDistance: 1.5, gravity: -0.2, turbulence: 0.15, attraction: 0.8, morphSpeed: 1.5, rotationSpeed: 0.003, colorPalette: 2 },
@@ -514,6 +530,13 @@ function initializeControlPanel(renderer, webgpuSystem, useWebGPU) {
   
   initializeSliders(webgpuSystem, useWebGPU);
   initializeToggles(webgpuSystem, useWebGPU);
+  initializeSelects();
+  initializeShapeUpload();
+  initializeTextInput();
+  initializeProceduralPicker();
+  initializeTransitionPicker();
+  initializeCacheButton();
+  initializeTimeline();
   initializeColorPalette();
   initializePresets(webgpuSystem, useWebGPU);
   
@@ -531,6 +554,11 @@ function initializeControlPanel(renderer, webgpuSystem, useWebGPU) {
   });
 }
 
+// The three sliders of a per-axis setting, e.g. shapeRotationX/Y/Z
+function readAxisSliders(prefix) {
+  return ['X', 'Y', 'Z'].map(axis => parseFloat(document.getElementById(prefix + axis).value));
+}
+
 function initializeSliders(webgpuSystem, useWebGPU) {
   const sliders = {
     particleCount: (v) => {
@@ -558,7 +586,22 @@ function initializeSliders(webgpuSystem, useWebGPU) {
     bloomRadius: (v) => { controlState.bloomRadius = parseFloat(v); updateBloomRadius(v); },
     hoverRadius: (v) => { controlState.hoverRadius = parseFloat(v); },
     hoverStrength: (v) => { controlState.hoverStrength = parseFloat(v); },
-    mouseInfluence: (v) => { controlState.mouseInfluence = parseFloat(v); }
+    mouseInfluence: (v) => { controlState.mouseInfluence = parseFloat(v); },
+    shadingStrength: (v) => { controlState.shadingStrength = parseFloat(v); },
+    animationSpeed: (v) => { controlState.animationSpeed = parseFloat(v); },
+    volumeMix: (v) => { updateShapeSampling({ volumeMix: parseFloat(v) }); },
+    edgeAngle: (v) => { updateShapeSampling({ edgeAngle: parseFloat(v) }); },
+    edgeDensity: (v) => { updateShapeSampling({ edgeDensity: parseFloat(v) }); },
+    imageDepth: (v) => { updateShapeSampling({ imageDepth: parseFloat(v) }); },
+    textSize: (v) => { updateTextShape({ size: parseFloat(v) }); },
+    textDepth: (v) => { updateTextShape({ depth: parseFloat(v) }); },
+    shapeScale: (v) => { updateShapePlacement({ scale: parseFloat(v) }); },
+    shapeRotationX: () => { updateShapePlacement({ rotation: readAxisSliders('shapeRotation') }); },
+    shapeRotationY: () => { updateShapePlacement({ rotation: readAxisSliders('shapeRotation') }); },
+    shapeRotationZ: () => { updateShapePlacement({ rotation: readAxisSliders('shapeRotation') }); },
+    shapeOffsetX: () => { updateShapePlacement({ offset: readAxisSliders('shapeOffset') }); },
+    shapeOffsetY: () => { updateShapePlacement({ offset: readAxisSliders('shapeOffset') }); },
+    shapeOffsetZ: () => { updateShapePlacement({ offset: readAxisSliders('shapeOffset') }); }
   };
   
   Object.keys(sliders).forEach(key => {
@@ -595,7 +638,11 @@ function initializeToggles(webgpuSystem, useWebGPU) {
     hoverEnabled: () => { controlState.hoverEnabled = !controlState.hoverEnabled; },
     hoverRepulsion: () => { controlState.hoverRepulsion = !controlState.hoverRepulsion; },
     particleTrail: () => { controlState.particleTrail = !controlState.particleTrail; },
-    autoRotate: () => { controlState.autoRotate = !controlState.autoRotate; }
+    autoRotate: () => { controlState.autoRotate = !controlState.autoRotate; },
+    normalShading: () => {
+      controlState.normalShading = !controlState.normalShading;
+      if (window.toggleNormalShading) window.toggleNormalShading(controlState.normalShading);
+    }
   };
   
   Object.keys(toggles).forEach(key => {
@@ -609,18 +656,383 @@ function initializeToggles(webgpuSystem, useWebGPU) {
   });
 }
 
+function initializeSelects() {
+  const selects = {
+    samplingMode: (v) => { updateShapeSampling({ mode: v }); },
+    imageWeight: (v) => { updateShapeSampling({ imageWeight: v }); },
+    samplingDistribution: (v) => { updateShapeSampling({ distribution: v }); },
+    placementNormalize: (v) => { updateShapePlacement({ normalize: v }); },
+    placementCenter: (v) => { updateShapePlacement({ center: v }); },
+    placementUp: (v) => { updateShapePlacement({ up: v }); },
+    particlePairing: (v) => { controlState.particlePairing = v; },
+    transitionStyle: (v) => {
+      controlState.transition = transitionDefaults(v);
+      buildTransitionControls(controlState.transition);
+    },
+    timelineMode: (v) => { setTimelineMode(v); },
+    animationClip: (v) => { updateAnimationClip(parseInt(v)); }
+  };
+  
+  Object.keys(selects).forEach(key => {
+    const select = document.getElementById(key);
+    if (select) {
+      select.addEventListener('change', (e) => selects[key](e.target.value));
+    }
+  });
+}
+
+// Rebuilt whenever the current shape changes - one slider per blend shape in the file
+function buildBlendShapeControls(blendShapes) {
+  const container = document.getElementById('blendShapeControls');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  blendShapes.forEach(({ name, value }) => {
+    const label = document.createElement('label');
+    const valueDisplay = document.createElement('span');
+    valueDisplay.textContent = value.toFixed(2);
+    label.append(`${name}: `, valueDisplay);
+    
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: 0, max: 1, step: 0.01, value });
+    slider.addEventListener('input', (e) => {
+      valueDisplay.textContent = parseFloat(e.target.value).toFixed(2);
+      updateBlendShape(name, parseFloat(e.target.value));
+    });
+    
+    container.append(label, slider);
+  });
+}
+
+// Model files come in through the file input or by dropping them anywhere on the page
+function initializeShapeUpload() {
+  const input = document.getElementById('shapeUpload');
+  if (input) {
+    input.accept = getModelExtensions().map(ext => '.' + ext).join(',');
+    input.addEventListener('change', () => {
+      addShapeFiles([...input.files]);
+      input.value = '';
+    });
+  }
+  
+  // Listening on window also stops a drop outside the canvas from navigating to the file
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+  });
+  window.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drag-over');
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    addShapeFiles([...e.dataTransfer.files]);
+  });
+}
+
+// Every keystroke re-spells the text shape; the font picker takes typeface JSON or TTF/OTF files
+function initializeTextInput() {
+  const input = document.getElementById('textString');
+  if (input) {
+    input.addEventListener('input', (e) => updateTextShape({ string: e.target.value }));
+  }
+  
+  const fontInput = document.getElementById('textFont');
+  if (fontInput) {
+    fontInput.addEventListener('change', () => {
+      if (fontInput.files[0]) loadTextFont(fontInput.files[0]);
+      fontInput.value = '';
+    });
+  }
+}
+
+function initializeProceduralPicker() {
+  const select = document.getElementById('proceduralType');
+  const addButton = document.getElementById('addProceduralShape');
+  if (!select || !addButton) return;
+  
+  Object.entries(proceduralShapes).forEach(([type, shape]) => select.add(new Option(shape.label, type)));
+  addButton.addEventListener('click', () => addProceduralShape(select.value));
+}
+
+function initializeTransitionPicker() {
+  const pairingSelect = document.getElementById('particlePairing');
+  if (pairingSelect) {
+    Object.entries(correspondenceModes).forEach(([mode, label]) => pairingSelect.add(new Option(label, mode)));
+    pairingSelect.value = controlState.particlePairing;
+  }
+  
+  const select = document.getElementById('transitionStyle');
+  if (!select) return;
+  
+  Object.entries(transitionStyles).forEach(([style, { label }]) => select.add(new Option(label, style)));
+  select.value = controlState.transition.style;
+  buildTransitionControls(controlState.transition);
+}
+
+function initializeCacheButton() {
+  const button = document.getElementById('clearTargetCache');
+  if (button) button.addEventListener('click', () => clearPointCache());
+}
+
+function initializeTimeline() {
+  const buttons = { timelinePlay: toggleTimeline, addKeyframe, saveTimeline };
+  Object.entries(buttons).forEach(([id, action]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', () => action());
+  });
+  
+  const seek = document.getElementById('timelineSeek');
+  if (seek) seek.addEventListener('input', (e) => seekTimeline(parseFloat(e.target.value)));
+  
+  const fileInput = document.getElementById('timelineFile');
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) loadTimeline(fileInput.files[0]);
+      fileInput.value = '';
+    });
+  }
+}
+
+// Rebuilt when the sequence or the library changes - one row per keyframe: its shape, the morph into
+// it (seconds and ease), how long it holds, and reorder / remove buttons
+function buildTimelineKeyframes(keyframes, shapeNames) {
+  const list = document.getElementById('timelineKeyframes');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  keyframes.forEach((keyframe, index) => {
+    const item = document.createElement('li');
+    
+    const shapeSelect = document.createElement('select');
+    shapeNames.forEach(name => shapeSelect.add(new Option(name, name)));
+    const shapeLabel = Number.isInteger(keyframe.shape) ? shapeNames[keyframe.shape] : keyframe.shape;
+    if (!shapeNames.includes(shapeLabel)) {
+      shapeSelect.add(new Option(`${keyframe.shape} (missing)`, keyframe.shape));
+      item.classList.add('error');
+    }
+    shapeSelect.value = shapeNames.includes(shapeLabel) ? shapeLabel : keyframe.shape;
+    shapeSelect.addEventListener('change', (e) => updateKeyframe(index, { shape: e.target.value }));
+    
+    const seconds = (key, title) => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', min: 0, step: 0.5, value: keyframe[key], title });
+      input.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value >= 0) updateKeyframe(index, { [key]: value });
+      });
+      return input;
+    };
+    
+    const easeSelect = document.createElement('select');
+    easeNames.forEach(name => easeSelect.add(new Option(name, name)));
+    easeSelect.value = keyframe.ease;
+    easeSelect.title = 'Ease of the morph into this keyframe';
+    easeSelect.addEventListener('change', (e) => updateKeyframe(index, { ease: e.target.value }));
+    
+    // A keyframe without a style of its own morphs in the shape's or the panel's
+    const styleSelect = document.createElement('select');
+    styleSelect.add(new Option('Default style', ''));
+    Object.entries(transitionStyles).forEach(([style, { label }]) => styleSelect.add(new Option(label, style)));
+    styleSelect.value = keyframe.transition ? keyframe.transition.style : '';
+    styleSelect.title = 'Transition style of the morph into this keyframe';
+    styleSelect.addEventListener('change', (e) => {
+      updateKeyframe(index, { transition: e.target.value ? { style: e.target.value } : undefined });
+    });
+    
+    const buttons = [
+      { label: '↑', title: 'Move up', disabled: index === 0, action: () => moveKeyframe(index, index - 1) },
+      { label: '↓', title: 'Move down', disabled: index === keyframes.length - 1, action: () => moveKeyframe(index, index + 1) },
+      { label: '✕', title: 'Remove', disabled: false, action: () => removeKeyframe(index) }
+    ].map(({ label, title, disabled, action }) => {
+      const button = document.createElement('button');
+      Object.assign(button, { textContent: label, title, disabled });
+      button.addEventListener('click', action);
+      return button;
+    });
+    
+    item.append(
+      shapeSelect, seconds('duration', 'Morph into it (s)'), easeSelect, seconds('hold', 'Hold (s)'), styleSelect, ...buttons
+    );
+    list.append(item);
+  });
+}
+
+// Play button, playhead and mode follow the timeline - called on every change and each frame while playing
+function syncTimelineTransport({ playing, time, duration, sequence }) {
+  const playButton = document.getElementById('timelinePlay');
+  if (playButton) {
+    playButton.textContent = playing ? 'Pause' : 'Play';
+    playButton.classList.toggle('active', playing);
+    playButton.disabled = sequence.keyframes.length === 0;
+  }
+  const seek = document.getElementById('timelineSeek');
+  if (seek) {
+    seek.max = duration;
+    seek.value = time;
+  }
+  const clock = document.getElementById('timelineTime');
+  if (clock) clock.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)} s`;
+  const modeSelect = document.getElementById('timelineMode');
+  if (modeSelect) modeSelect.value = sequence.mode;
+}
+
+// Rebuilt whenever the current shape changes - sliders for the shape's parameters, if it is procedural
+function buildProceduralControls(type, values) {
+  const container = document.getElementById('proceduralControls');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  const shape = proceduralShapes[type];
+  if (!shape) return;
+  
+  Object.entries(shape.params).forEach(([key, param]) => {
+    const label = document.createElement('label');
+    const valueDisplay = document.createElement('span');
+    valueDisplay.textContent = values[key];
+    label.append(`${param.label}: `, valueDisplay);
+    
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: param.min, max: param.max, step: param.step, value: values[key] });
+    slider.addEventListener('input', (e) => {
+      valueDisplay.textContent = e.target.value;
+      updateProceduralShape({ [key]: parseFloat(e.target.value) });
+    });
+    
+    container.append(label, slider);
+  });
+}
+
+// Rebuilt when the transition style changes - a slider per numeric parameter, a picker per choice.
+// Edits go straight into controlState.transition and apply from the next morph.
+function buildTransitionControls(transition) {
+  const container = document.getElementById('transitionControls');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  const style = transitionStyles[transition.style];
+  if (!style) return;
+  
+  Object.entries(style.params).forEach(([key, param]) => {
+    const label = document.createElement('label');
+    
+    if (param.options) {
+      label.textContent = param.label;
+      const select = document.createElement('select');
+      param.options.forEach(option => select.add(new Option(option, option)));
+      select.value = transition[key];
+      select.addEventListener('change', (e) => { controlState.transition[key] = e.target.value; });
+      container.append(label, select);
+      return;
+    }
+    
+    const valueDisplay = document.createElement('span');
+    valueDisplay.textContent = transition[key];
+    label.append(`${param.label}: `, valueDisplay);
+    
+    const slider = document.createElement('input');
+    Object.assign(slider, { type: 'range', min: param.min, max: param.max, step: param.step, value: transition[key] });
+    slider.addEventListener('input', (e) => {
+      valueDisplay.textContent = e.target.value;
+      controlState.transition[key] = parseFloat(e.target.value);
+    });
+    
+    container.append(label, slider);
+  });
+}
+
+// The current file's scene nodes, indented by depth: a checkbox includes or excludes a node
+// (with everything below it) and the number sets its relative particle density
+function buildNodeTree(nodes, settings) {
+  const container = document.getElementById('nodeTree');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  if (nodes.length === 0) {
+    container.textContent = 'No nodes';
+    return;
+  }
+  
+  nodes.forEach(({ id, name, depth, meshes }) => {
+    const setting = settings[id] || {};
+    const row = document.createElement('label');
+    row.style.paddingLeft = `${depth * 12}px`;
+    row.title = `${id} - ${meshes} mesh${meshes === 1 ? '' : 'es'}`;
+    
+    const include = document.createElement('input');
+    Object.assign(include, { type: 'checkbox', checked: setting.include !== false });
+    include.addEventListener('change', (e) => updateShapeNode(id, { include: e.target.checked }));
+    
+    const weight = document.createElement('input');
+    Object.assign(weight, { type: 'number', min: 0, step: 0.1, value: setting.weight !== undefined ? setting.weight : 1, title: 'Relative density' });
+    weight.addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      if (value >= 0) updateShapeNode(id, { weight: value });
+    });
+    
+    const label = document.createElement('span');
+    label.textContent = name;
+    row.append(include, label, weight);
+    container.append(row);
+  });
+}
+
+// Rebuilt whenever the library changes - click to morph, edit the name in place, reorder or remove
+// errors[i], when set, marks shape i as failed - its particles show a stand-in until a retry works
+function buildShapeLibrary(names, currentIndex, errors = []) {
+  const list = document.getElementById('shapeLibrary');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  names.forEach((name, index) => {
+    const item = document.createElement('li');
+    item.classList.toggle('active', index === currentIndex);
+    item.classList.toggle('error', !!errors[index]);
+    if (errors[index]) item.title = `Failed to load: ${errors[index]}`;
+    item.addEventListener('click', () => selectShape(index));
+    
+    const nameInput = document.createElement('input');
+    Object.assign(nameInput, { type: 'text', value: name, title: 'Rename shape' });
+    nameInput.addEventListener('click', (e) => e.stopPropagation());
+    nameInput.addEventListener('change', (e) => renameShape(index, e.target.value.trim() || name));
+    
+    const buttons = [
+      ...(errors[index] ? [{ label: '⟳', title: 'Retry loading', disabled: false, action: () => retryShape(index) }] : []),
+      { label: '↑', title: 'Move up', disabled: index === 0, action: () => moveShape(index, index - 1) },
+      { label: '↓', title: 'Move down', disabled: index === names.length - 1, action: () => moveShape(index, index + 1) },
+      { label: '✕', title: 'Remove', disabled: names.length === 1, action: () => removeShape(index) }
+    ].map(({ label, title, disabled, action }) => {
+      const button = document.createElement('button');
+      Object.assign(button, { textContent: label, title, disabled });
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        action();
+      });
+      return button;
+    });
+    
+    item.append(nameInput, ...buttons);
+    list.append(item);
+  });
+}
+
 function initializeColorPalette() {
   const colorOptions = document.querySelectorAll('.color-option');
   colorOptions.forEach((option, index) => {
     option.addEventListener('click', () => {
-      colorOptions.forEach(opt => opt.classList.remove('active'));
-      option.classList.add('active');
-      controlState.colorPalette = index;
+      setActivePalette(index);
       updateParticleColors(index);
     });
   });
 }
 
+// Marks a palette as selected without recoloring - callers decide whether to recolor or blend
+function setActivePalette(index) {
+  const colorOptions = document.querySelectorAll('.color-option');
+  colorOptions.forEach((opt, idx) => opt.classList.toggle('active', idx === index));
+  controlState.colorPalette = index;
+}
+
 function initializePresets(webgpuSystem, useWebGPU) {
   const presetButtons = document.querySelectorAll('.preset-btn');
   presetButtons.forEach(button => {
@@ -655,8 +1067,7 @@ function applyPreset(presetName, webgpuSystem, useWebGPU) {
     if (window.toggleFiberVisibility) window.toggleFiberVisibility(preset.fibersEnabled);
   }
   if (preset.colorPalette !== undefined) {
-    const colorOptions = document.querySelectorAll('.color-option');
-    colorOptions.forEach((opt, idx) => opt.classList.toggle('active', idx === preset.colorPalette));
+    setActivePalette(preset.colorPalette);
     updateParticleColors(preset.colorPalette);
   }
   
@@ -676,11 +1087,44 @@ function updateParticleSize(size) { if (window.updateParticleSize) window.update
 function updateParticleOpacity(opacity) { if (window.updateParticleOpacity) window.updateParticleOpacity(opacity); }
 function updateBloomStrength(strength) { if (window.updateBloomStrength) window.updateBloomStrength(strength); }
 function updateBloomRadius(radius) { if (window.updateBloomRadius) window.updateBloomRadius(radius); }
+function updateShapeSampling(changes) { if (window.updateShapeSampling) window.updateShapeSampling(changes); }
+function updateShapePlacement(changes) { if (window.updateShapePlacement) window.updateShapePlacement(changes); }
+function clearPointCache() { if (window.clearPointCache) window.clearPointCache(); }
+function retryShape(index) { if (window.retryShape) window.retryShape(index); }
+function updateShapeNode(id, changes) { if (window.updateShapeNode) window.updateShapeNode(id, changes); }
+function addKeyframe() { if (window.addKeyframe) window.addKeyframe(); }
+function updateKeyframe(index, changes) { if (window.updateKeyframe) window.updateKeyframe(index, changes); }
+function moveKeyframe(from, to) { if (window.moveKeyframe) window.moveKeyframe(from, to); }
+function removeKeyframe(index) { if (window.removeKeyframe) window.removeKeyframe(index); }
+function setTimelineMode(mode) { if (window.setTimelineMode) window.setTimelineMode(mode); }
+function toggleTimeline() { if (window.toggleTimeline) window.toggleTimeline(); }
+function seekTimeline(time) { if (window.seekTimeline) window.seekTimeline(time); }
+function saveTimeline() { if (window.saveTimeline) window.saveTimeline(); }
+function loadTimeline(file) { if (window.loadTimeline) window.loadTimeline(file); }
+function updateAnimationClip(clipIndex) { if (window.updateAnimationClip) window.updateAnimationClip(clipIndex); }
+function updateBlendShape(name, value) { if (window.updateBlendShape) window.updateBlendShape(name, value); }
+function addShapeFiles(files) { if (window.addShapeFiles) window.addShapeFiles(files); }
+function selectShape(index) { if (window.selectShape) window.selectShape(index); }
+function renameShape(index, name) { if (window.renameShape) window.renameShape(index, name); }
+function moveShape(from, to) { if (window.moveShape) window.moveShape(from, to); }
+function removeShape(index) { if (window.removeShape) window.removeShape(index); }
+function updateTextShape(changes) { if (window.updateTextShape) window.updateTextShape(changes); }
+function loadTextFont(file) { if (window.loadTextFont) window.loadTextFont(file); }
+function addProceduralShape(type) { if (window.addProceduralShape) window.addProceduralShape(type); }
+function updateProceduralShape(changes) { if (window.updateProceduralShape) window.updateProceduralShape(changes); }
 
 // Combined exports
 export { 
   initWebGPU, webgpuSystem, useWebGPU, WebGPUParticleSystem,
-  controlState, colorPalettes, presets, initializeControlPanel,
+  controlState, colorPalettes, modelPaletteIndex, paletteNames, presets, initializeControlPanel,
+  buildBlendShapeControls, buildShapeLibrary, buildProceduralControls, buildNodeTree,
+  buildTimelineKeyframes, syncTimelineTransport, setActivePalette,
   updateParticleColors, updateParticleCount, updateParticleSize,
-  updateParticleOpacity, updateBloomStrength, updateBloomRadius
+  updateParticleOpacity, updateBloomStrength, updateBloomRadius,
+  updateShapeSampling, updateShapePlacement, updateAnimationClip, updateBlendShape,
+  addShapeFiles, selectShape, renameShape, moveShape, removeShape,
+  updateTextShape, loadTextFont, addProceduralShape, updateProceduralShape,
+  clearPointCache, retryShape, updateShapeNode,
+  addKeyframe, updateKeyframe, moveKeyframe, removeKeyframe, setTimelineMode,
+  toggleTimeline, seekTimeline, saveTimeline, loadTimeline
 };
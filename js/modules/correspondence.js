@@ -0,0 +1,138 @@
+// =================================================================================================
+// Particle Correspondence
+// =================================================================================================
+// Decides which destination point each particle flies to. Targets come in sampler order, so
+// pairing particle i with point i sends particles criss-crossing the whole scene. The other modes
+// return an order - particle i goes to point order[i] - that keeps the paths short:
+//   curve       both point sets sorted along one 3D Hilbert curve and paired rank by rank
+//   assignment  the curve pairing, then improved by swapping destinations between nearby
+//               particles while that shortens the total squared travel - an approximate
+//               optimal assignment
+// Kept free of the 'three' import, like sampling.js.
+
+// Mode names with their labels in the panel
+const correspondenceModes = {
+  index: 'Sampler order',
+  curve: 'Short paths (space-filling curve)',
+  assignment: 'Shortest paths (matched)'
+};
+
+// Bits per axis of the curve grid; 3 x 10 bits still fit a 32-bit key
+const CURVE_BITS = 10;
+// How far along the curve, in particles, the assignment looks for swap partners
+const SWAP_WINDOW = 16;
+const SWAP_PASSES = 8;
+
+// Position along a 3D Hilbert curve of the grid cell (x, y, z), each in 0 to 2^bits - 1.
+// Skilling's transpose method: turn the axes into the curve's transposed form, then interleave.
+function hilbertKey(x, y, z, bits) {
+  const axes = [x, y, z];
+  const top = 1 << (bits - 1);
+  for (let q = top; q > 1; q >>= 1) {
+    const p = q - 1;
+    for (let i = 0; i < 3; i++) {
+      if (axes[i] & q) {
+        axes[0] ^= p;
+      } else {
+        const t = (axes[0] ^ axes[i]) & p;
+        axes[0] ^= t;
+        axes[i] ^= t;
+      }
+    }
+  }
+  axes[1] ^= axes[0];
+  axes[2] ^= axes[1];
+  let t = 0;
+  for (let q = top; q > 1; q >>= 1) {
+    if (axes[2] & q) t ^= q - 1;
+  }
+  let key = 0;
+  for (let b = bits - 1; b >= 0; b--) {
+    for (let i = 0; i < 3; i++) key = key * 2 + (((axes[i] ^ t) >> b) & 1);
+  }
+  return key;
+}
+
+function sharedBounds(a, b) {
+  const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+  for (const positions of [a, b]) {
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        bounds[k] = Math.min(bounds[k], positions[i + k]);
+        bounds[k + 3] = Math.max(bounds[k + 3], positions[i + k]);
+      }
+    }
+  }
+  return bounds;
+}
+
+// Point indices sorted along the curve; both sets use the same bounds so their curves line up
+function curveOrder(positions, count, bounds) {
+  const cells = (1 << CURVE_BITS) - 1;
+  const size = Math.max(bounds[3] - bounds[0], bounds[4] - bounds[1], bounds[5] - bounds[2]) || 1;
+  const cell = (value, k) => Math.min(cells, Math.max(0, Math.floor(((value - bounds[k]) / size) * cells)));
+  const keys = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    keys[i] = hilbertKey(cell(positions[i3], 0), cell(positions[i3 + 1], 1), cell(positions[i3 + 2], 2), CURVE_BITS);
+  }
+  return Uint32Array.from({ length: count }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+}
+
+function squaredDistance(a, i, b, j) {
+  const dx = a[i * 3] - b[j * 3];
+  const dy = a[i * 3 + 1] - b[j * 3 + 1];
+  const dz = a[i * 3 + 2] - b[j * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// Pairwise swaps between particles close on the curve (so close in space) whenever trading
+// destinations shortens their combined squared travel. Stops once a pass finds nothing to swap.
+function improveAssignment(from, to, order, sequence) {
+  const count = sequence.length;
+  for (let pass = 0; pass < SWAP_PASSES; pass++) {
+    let swaps = 0;
+    for (let k = 0; k < count; k++) {
+      const i = sequence[k];
+      for (let w = 1; w <= SWAP_WINDOW && k + w < count; w++) {
+        const j = sequence[k + w];
+        const current = squaredDistance(from, i, to, order[i]) + squaredDistance(from, j, to, order[j]);
+        const swapped = squaredDistance(from, i, to, order[j]) + squaredDistance(from, j, to, order[i]);
+        if (swapped < current) {
+          const t = order[i];
+          order[i] = order[j];
+          order[j] = t;
+          swaps++;
+        }
+      }
+    }
+    if (swaps === 0) break;
+  }
+}
+
+// Destination index per particle for moving the points in from onto the points in to (both flat
+// xyz arrays of the same length), or null for 'index' - keep the order as is
+function matchParticles(from, to, mode) {
+  if (mode !== 'curve' && mode !== 'assignment') return null;
+
+  const count = from.length / 3;
+  const bounds = sharedBounds(from, to);
+  const fromOrder = curveOrder(from, count, bounds);
+  const toOrder = curveOrder(to, count, bounds);
+  const order = new Uint32Array(count);
+  for (let k = 0; k < count; k++) order[fromOrder[k]] = toOrder[k];
+
+  if (mode === 'assignment') improveAssignment(from, to, order, fromOrder);
+  return order;
+}
+
+// Copy of a flat array of size-component items, item i taken from item order[i]
+function permuteItems(array, order, size) {
+  const out = new array.constructor(array.length);
+  for (let i = 0; i < order.length; i++) {
+    for (let k = 0; k < size; k++) out[i * size + k] = array[order[i] * size + k];
+  }
+  return out;
+}
+
+export { correspondenceModes, matchParticles, permuteItems };
@@ -0,0 +1,34 @@
+// =================================================================================================
+// Easing
+// =================================================================================================
+// GSAP's ease names with matching functions, so tweens run without GSAP (manualMorph) follow the
+// same curves. 'none' is linear; every other name is a family plus .in, .out or .inOut.
+
+const easeFamilies = {
+  power1: t => t * t,
+  power2: t => t * t * t,
+  power3: t => t * t * t * t,
+  power4: t => t * t * t * t * t,
+  sine: t => 1 - Math.cos((t * Math.PI) / 2),
+  expo: t => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1))),
+  circ: t => 1 - Math.sqrt(1 - t * t),
+  back: t => t * t * (2.70158 * t - 1.70158)
+};
+
+const easeNames = ['none'];
+Object.keys(easeFamilies).forEach(family => easeNames.push(`${family}.in`, `${family}.out`, `${family}.inOut`));
+
+const defaultEase = 'power2.inOut';
+
+// The ease function for a name; unknown names get the default
+function getEase(name) {
+  if (name === 'none') return t => t;
+  const [family, type] = String(name).split('.');
+  const ease = easeFamilies[family];
+  if (!ease) return getEase(defaultEase);
+  if (type === 'in') return ease;
+  if (type === 'out') return t => 1 - ease(1 - t);
+  return t => (t < 0.5 ? ease(t * 2) / 2 : 1 - ease((1 - t) * 2) / 2);
+}
+
+export { easeNames, defaultEase, getEase };
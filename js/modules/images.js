@@ -0,0 +1,47 @@
+// =================================================================================================
+// Image Sources
+// =================================================================================================
+// Flat artwork arrives as pixels. These loaders resolve to { image: { data, width, height } }
+// (RGBA bytes) instead of a scene; sampleImage in sampling.js turns it into a target.
+
+// Long side of the pixel grid particles are placed on - plenty for 10k particles
+const IMAGE_RESOLUTION = 512;
+
+// SVGs are rasterized at IMAGE_RESOLUTION; bitmaps are only ever scaled down
+async function loadImagePixels(url, vector) {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.src = url;
+  try {
+    await image.decode();
+  } catch (error) {
+    throw new Error(`${url}: could not decode image`);
+  }
+
+  // SVGs without width/height report no natural size
+  const naturalWidth = image.naturalWidth || IMAGE_RESOLUTION;
+  const naturalHeight = image.naturalHeight || IMAGE_RESOLUTION;
+  const fit = IMAGE_RESOLUTION / Math.max(naturalWidth, naturalHeight);
+  const ratio = vector ? fit : Math.min(1, fit);
+  const width = Math.max(1, Math.round(naturalWidth * ratio));
+  const height = Math.max(1, Math.round(naturalHeight * ratio));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+const loadBitmap = async (url) => ({ image: await loadImagePixels(url, false) });
+
+const imageLoaders = {
+  png: loadBitmap,
+  jpg: loadBitmap,
+  jpeg: loadBitmap,
+  webp: loadBitmap,
+  svg: async (url) => ({ image: await loadImagePixels(url, true) })
+};
+
+export { imageLoaders, loadImagePixels };
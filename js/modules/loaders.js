@@ -0,0 +1,99 @@
+import { FileLoader, LoaderUtils } from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from '../libs/meshopt_decoder.module.js';
+
+// =================================================================================================
+// GLTF Loader Setup
+// =================================================================================================
+
+// Decoders ship with the repo (js/libs) so compressed assets load without a CDN
+const DRACO_DECODER_PATH = new URL('../libs/draco/', import.meta.url).href;
+const BASIS_TRANSCODER_PATH = new URL('../libs/basis/', import.meta.url).href;
+
+// Extensions a file may list in extensionsRequired that this loader setup can handle
+const supportedExtensions = new Set([
+  'KHR_draco_mesh_compression',
+  'EXT_meshopt_compression',
+  'KHR_texture_basisu',
+  'KHR_mesh_quantization',
+  'KHR_texture_transform',
+  'KHR_materials_unlit',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_clearcoat',
+  'KHR_materials_ior',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_volume',
+  'KHR_materials_sheen',
+  'KHR_materials_iridescence',
+  'KHR_materials_anisotropy',
+  'KHR_lights_punctual',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'EXT_mesh_gpu_instancing'
+]);
+
+let gltfLoader = null;
+
+// One shared loader - the Draco and KTX2 workers are expensive to spin up
+function getGLTFLoader(renderer) {
+  if (gltfLoader) return gltfLoader;
+
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+  const ktx2Loader = new KTX2Loader();
+  ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+  if (renderer) ktx2Loader.detectSupport(renderer);
+
+  gltfLoader = new GLTFLoader();
+  gltfLoader.setDRACOLoader(dracoLoader);
+  gltfLoader.setKTX2Loader(ktx2Loader);
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+  return gltfLoader;
+}
+
+// Reads extensionsRequired from a .glb container or a plain .gltf JSON file
+function readRequiredExtensions(buffer) {
+  const header = new DataView(buffer, 0, Math.min(buffer.byteLength, 20));
+  let json;
+  if (buffer.byteLength >= 20 && header.getUint32(0, true) === 0x46546C67) { // 'glTF'
+    const chunkLength = header.getUint32(12, true);
+    json = new TextDecoder().decode(new Uint8Array(buffer, 20, chunkLength));
+  } else {
+    json = new TextDecoder().decode(buffer);
+  }
+
+  try {
+    return JSON.parse(json).extensionsRequired || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Loads and parses a GLB/GLTF, naming the extension at fault when decoding fails
+async function loadGLTF(url, renderer, onProgress) {
+  const fileLoader = new FileLoader();
+  fileLoader.setResponseType('arraybuffer');
+  const buffer = await fileLoader.loadAsync(url, onProgress);
+
+  const required = readRequiredExtensions(buffer);
+  const missing = required.filter(name => !supportedExtensions.has(name));
+  if (missing.length > 0) {
+    throw new Error(`${url} requires unsupported glTF extension(s): ${missing.join(', ')}`);
+  }
+
+  try {
+    return await getGLTFLoader(renderer).parseAsync(buffer, LoaderUtils.extractUrlBase(url));
+  } catch (error) {
+    const compressed = required.filter(name =>
+      ['KHR_draco_mesh_compression', 'EXT_meshopt_compression', 'KHR_texture_basisu'].includes(name)
+    );
+    const hint = compressed.length > 0 ? ` while decoding ${compressed.join(', ')}` : '';
+    throw new Error(`${url} failed to parse${hint}: ${error.message}`);
+  }
+}
+
+export { getGLTFLoader, readRequiredExtensions, loadGLTF };
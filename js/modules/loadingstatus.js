@@ -0,0 +1,96 @@
+// =================================================================================================
+// Loading Status
+// =================================================================================================
+// On-screen list of the files being loaded: one row per shape with a progress bar while it
+// downloads and samples. Finished rows disappear; failed rows stay with the reason, a retry
+// action where the file can be loaded again and a dismiss button. Rows are keyed (by shape
+// config), so reloading a shape reuses its row.
+
+const rows = new Map();
+
+function getRow(key, name) {
+  const list = document.getElementById('loadingStatus');
+  if (!list) return null;
+
+  let row = rows.get(key);
+  if (!row) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'loading-name';
+    const state = document.createElement('span');
+    state.className = 'loading-state';
+    const bar = document.createElement('div');
+    bar.className = 'loading-bar';
+    bar.append(document.createElement('div'));
+    const actions = document.createElement('div');
+    actions.className = 'loading-actions';
+    item.append(label, state, bar, actions);
+    list.append(item);
+    row = { item, label, state, bar, actions };
+    rows.set(key, row);
+  }
+  row.label.textContent = name;
+  return row;
+}
+
+function removeRow(key) {
+  const row = rows.get(key);
+  if (!row) return;
+  row.item.remove();
+  rows.delete(key);
+}
+
+function setProgress(row, fraction, text) {
+  row.item.classList.remove('error');
+  row.actions.innerHTML = '';
+  row.state.textContent = text;
+  row.state.title = '';
+  // No total known - an indeterminate bar
+  row.bar.classList.toggle('indeterminate', fraction === null);
+  row.bar.firstChild.style.width = fraction === null ? '' : `${Math.round(fraction * 100)}%`;
+}
+
+// Starts (or restarts) a row; the returned handle reports on it. A newer load of the same key
+// takes the row over, after which the older handle's reports are ignored.
+function trackLoading(key, name) {
+  const row = getRow(key, name);
+  const load = {};
+  if (row) {
+    row.load = load;
+    setProgress(row, 0, 'Loading');
+  }
+  const current = () => row && rows.get(key) === row && row.load === load;
+
+  return {
+    // fraction 0-1, or null when the size is unknown
+    progress(fraction) {
+      if (current()) setProgress(row, fraction, 'Loading');
+    },
+    sampling() {
+      if (current()) setProgress(row, null, 'Sampling');
+    },
+    done() {
+      if (current()) removeRow(key);
+    },
+    // Without a retry callback (nothing left to load it from) the row only offers dismissal
+    fail(message, retry) {
+      if (!current()) return;
+      row.item.classList.add('error');
+      row.state.textContent = message;
+      row.state.title = message;
+      row.actions.innerHTML = '';
+      const actions = [{ label: '✕', action: () => removeRow(key) }];
+      if (typeof retry === 'function') {
+        actions.unshift({ label: 'Retry', action: () => { removeRow(key); retry(); } });
+      }
+      actions.forEach(({ label, action }) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', action);
+        row.actions.append(button);
+      });
+    }
+  };
+}
+
+export { trackLoading };
@@ -0,0 +1,207 @@
+import { paletteNames } from './controls.js';
+import { proceduralShapes, getProceduralDefaults } from './procedural.js';
+import { normalizeModes, centerModes, upAxes } from './placement.js';
+import { parseSequence } from './timeline.js';
+import { parseTransition } from './transitions.js';
+
+// =================================================================================================
+// Shape Manifest
+// =================================================================================================
+// shapes.json describes the library the app starts with. Each shape needs a "file", "text" or
+// "procedural":
+// {
+//   "shapes": [{
+//     "name": "Logo",                      display name, defaults to the file name
+//     "file": "glb/logo.glb",              resolved against the manifest's own URL
+//     "format": "glb",                     only needed when the file has no extension
+//     "scale": 12.0,
+//     "sampling": { "mode": "surface" },   any sampling option, merged over the defaults
+//     "normalize": "sphere",               "native" (scale multiplies), "sphere" or "longest" (fit to scale)
+//     "center": "centroid",                "bbox" or "centroid"
+//     "up": "z",                           source up axis: x, y, z, -x, -y or -z
+//     "rotation": [0, 90, 0],              degrees, after the up correction
+//     "offset": [0, 1, 0],                 scene units
+//     "nodes": { "0/1": { "include": false }, "0/0": { "weight": 2 } },
+//                                          per scene node (child-index path) and below: skip it, or
+//                                          scale its particle density
+//     "palette": "ocean",                  palette name or swatch index; "model" uses file colors
+//     "camera": { "position": [0, 0, 10], "target": [0, 0, 0] },
+//     "morphDuration": 4,                  seconds at morph speed 1
+//     "transition": { "style": "explode", "strength": 2 }
+//                                          how particles travel into this shape, see transitions.js
+//   }, {
+//     "text": { "string": "2026", "font": "fonts/my.ttf", "size": 3, "depth": 0.5 }
+//   }, {
+//     "procedural": { "type": "torusKnot", "params": { "p": 3, "q": 7 } }
+//   }],
+//   "timeline": { "mode": "loop", "autoplay": true, "keyframes": [...] }   optional, see timeline.js
+// }
+// Text and procedural shapes default to scale 1, since they are already sized in scene units;
+// text also defaults to surface sampling.
+
+function fileName(file) {
+  const name = file.split(/[?#]/)[0].split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(0, dot) : name;
+}
+
+function parsePalette(palette, where) {
+  const index = typeof palette === 'string' ? paletteNames.indexOf(palette.toLowerCase()) : palette;
+  if (!Number.isInteger(index) || index < 0 || index >= paletteNames.length) {
+    throw new Error(`${where}: unknown palette ${JSON.stringify(palette)} (use ${paletteNames.join(', ')} or 0-${paletteNames.length - 1})`);
+  }
+  return index;
+}
+
+function parseVector(value, where) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new Error(`${where}: expected [x, y, z]`);
+  }
+  return value;
+}
+
+// "text" may be just the string, or an object with string, font, size and depth
+function parseText(text, where, baseUrl) {
+  const spec = typeof text === 'string' ? { string: text } : { ...text };
+  if (typeof spec.string !== 'string' || !spec.string.trim()) {
+    throw new Error(`${where}: "text" needs a non-empty string`);
+  }
+  if (spec.font !== undefined) spec.font = new URL(spec.font, baseUrl).href;
+  return spec;
+}
+
+// "procedural" may be just the type, or an object with type and params
+function parseProcedural(procedural, where) {
+  const spec = typeof procedural === 'string' ? { type: procedural } : (procedural || {});
+  try {
+    return { type: spec.type, params: { ...getProceduralDefaults(spec.type), ...spec.params } };
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+function parseChoice(value, choices, where) {
+  if (!choices.includes(value)) {
+    throw new Error(`${where}: unknown value ${JSON.stringify(value)} (use ${choices.join(', ')})`);
+  }
+  return value;
+}
+
+// Top-level placement fields, merged over the default placement
+function parsePlacement(shape, where, placement) {
+  if (shape.normalize !== undefined) placement.normalize = parseChoice(shape.normalize, normalizeModes, `${where}.normalize`);
+  if (shape.center !== undefined) placement.center = parseChoice(shape.center, centerModes, `${where}.center`);
+  if (shape.up !== undefined) placement.up = parseChoice(String(shape.up).toLowerCase(), Object.keys(upAxes), `${where}.up`);
+  if (shape.rotation !== undefined) placement.rotation = parseVector(shape.rotation, `${where}.rotation`);
+  if (shape.offset !== undefined) placement.offset = parseVector(shape.offset, `${where}.offset`);
+  return placement;
+}
+
+function parseNodes(nodes, where) {
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    throw new Error(`${where}: expected { "node id": { "include", "weight" } }`);
+  }
+  const settings = {};
+  Object.entries(nodes).forEach(([id, node]) => {
+    if (!/^\d+(\/\d+)*$/.test(id)) throw new Error(`${where}: "${id}" is not a node id like "0/2"`);
+    if (!node || typeof node !== 'object') throw new Error(`${where}["${id}"]: expected { "include", "weight" }`);
+    const setting = {};
+    if (node.include !== undefined) {
+      if (typeof node.include !== 'boolean') throw new Error(`${where}["${id}"].include: expected true or false`);
+      setting.include = node.include;
+    }
+    if (node.weight !== undefined) {
+      if (!(node.weight >= 0)) throw new Error(`${where}["${id}"].weight: must be a number >= 0`);
+      setting.weight = node.weight;
+    }
+    settings[id] = setting;
+  });
+  return settings;
+}
+
+function parseCamera(camera, where) {
+  const framing = {};
+  if (camera.position !== undefined) framing.position = parseVector(camera.position, `${where}.camera.position`);
+  if (camera.target !== undefined) framing.target = parseVector(camera.target, `${where}.camera.target`);
+  return framing;
+}
+
+// Turns one manifest entry into a shape library config; defaults supply scale, sampling and placement
+function parseShapeEntry(shape, index, baseUrl, defaults) {
+  const where = `shapes[${index}]`;
+  if (shape && shape.procedural !== undefined) {
+    const procedural = parseProcedural(shape.procedural, where);
+    return parseShapeStyle(shape, where, {
+      name: proceduralShapes[procedural.type].label,
+      procedural,
+      scale: 1.0,
+      sampling: { ...defaults.sampling },
+      placement: { ...defaults.placement }
+    });
+  }
+  if (shape && shape.text !== undefined) {
+    return parseShapeStyle(shape, where, {
+      text: parseText(shape.text, where, baseUrl),
+      scale: 1.0,
+      sampling: { ...defaults.sampling, mode: 'surface' },
+      placement: { ...defaults.placement }
+    });
+  }
+  if (!shape || typeof shape.file !== 'string') {
+    throw new Error(`${where}: "file", "text" or "procedural" is required`);
+  }
+
+  const config = parseShapeStyle(shape, where, {
+    name: fileName(shape.file),
+    path: new URL(shape.file, baseUrl).href,
+    scale: defaults.scale,
+    sampling: { ...defaults.sampling },
+    placement: { ...defaults.placement }
+  });
+  if (shape.nodes !== undefined) config.nodes = parseNodes(shape.nodes, `${where}.nodes`);
+  return config;
+}
+
+// Fields shared by every kind of shape, applied over the kind-specific defaults in config
+function parseShapeStyle(shape, where, config) {
+  config.name = shape.name || config.name || config.text.string;
+  if (shape.scale !== undefined) config.scale = shape.scale;
+  if (shape.sampling !== undefined) Object.assign(config.sampling, shape.sampling);
+  if (!(config.scale > 0)) throw new Error(`${where}: "scale" must be a positive number`);
+  parsePlacement(shape, where, config.placement);
+
+  if (shape.format !== undefined) config.format = String(shape.format).toLowerCase();
+  if (shape.palette !== undefined) config.palette = parsePalette(shape.palette, where);
+  if (shape.camera !== undefined) config.camera = parseCamera(shape.camera, where);
+  if (shape.morphDuration !== undefined) {
+    if (!(shape.morphDuration >= 0)) throw new Error(`${where}: "morphDuration" must be a number of seconds`);
+    config.morphDuration = shape.morphDuration;
+  }
+  if (shape.transition !== undefined) config.transition = parseTransition(shape.transition, `${where}.transition`);
+  return config;
+}
+
+// Resolves to { shapes: [config], timeline: sequence or null }
+async function loadShapeManifest(url, defaults) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+
+  const manifest = await response.json();
+  if (!manifest || !Array.isArray(manifest.shapes)) {
+    throw new Error(`${url}: expected { "shapes": [...] }`);
+  }
+
+  const baseUrl = new URL(url, document.baseURI);
+  try {
+    return {
+      shapes: manifest.shapes.map((shape, i) => parseShapeEntry(shape, i, baseUrl, defaults)),
+      timeline: manifest.timeline !== undefined ? parseSequence(manifest.timeline) : null
+    };
+  } catch (error) {
+    throw new Error(`${url}: ${error.message}`);
+  }
+}
+
+export { loadShapeManifest, parseShapeEntry };
@@ -0,0 +1,131 @@
+// Where a sampled shape sits in the scene.
+// Kept free of the 'three' import, like sampling.js, so it can run outside the page.
+
+// =================================================================================================
+// Placement
+// =================================================================================================
+// A placement maps source points into the scene as  rotation · (p - center) · scale + offset.
+// It is computed once per target from the source geometry, so animated rigs can re-apply it
+// to posed vertices every frame.
+//
+// Options (all optional, per shape):
+//   normalize  'native'  - scale multiplies the source units
+//              'sphere'  - the bounding sphere around center gets a diameter of scale
+//              'longest' - the longest bounding box side spans scale
+//   center     'bbox' (bounding box center) or 'centroid' (mean of the source points)
+//   up         source up axis turned onto +Y: 'y', 'z', 'x', '-y', '-z' or '-x'
+//   rotation   [x, y, z] degrees, applied after the up correction (XYZ order)
+//   offset     [x, y, z] scene units, applied last
+
+const defaultPlacement = { normalize: 'native', center: 'bbox', up: 'y', rotation: [0, 0, 0], offset: [0, 0, 0] };
+
+const normalizeModes = ['native', 'sphere', 'longest'];
+const centerModes = ['bbox', 'centroid'];
+
+// Row-major 3x3 rotations taking each source up axis to +Y
+const upAxes = {
+  y: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+  z: [1, 0, 0, 0, 0, 1, 0, -1, 0],
+  x: [0, -1, 0, 1, 0, 0, 0, 0, 1],
+  '-y': [1, 0, 0, 0, -1, 0, 0, 0, -1],
+  '-z': [1, 0, 0, 0, 0, -1, 0, 1, 0],
+  '-x': [0, 1, 0, -1, 0, 0, 0, 0, 1]
+};
+
+function multiply3(a, b) {
+  const m = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      m[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return m;
+}
+
+// Same matrix as three's Euler with order 'XYZ'
+function eulerMatrix([x, y, z]) {
+  const toRadians = Math.PI / 180;
+  const a = Math.cos(x * toRadians), b = Math.sin(x * toRadians);
+  const c = Math.cos(y * toRadians), d = Math.sin(y * toRadians);
+  const e = Math.cos(z * toRadians), f = Math.sin(z * toRadians);
+  return [
+    c * e, -c * f, d,
+    a * f + b * e * d, a * e - b * f * d, -b * c,
+    b * f - a * e * d, b * e + a * f * d, a * c
+  ];
+}
+
+// sources is a list of { positions } (extracted meshes, a point cloud); bounds is their { min, max }
+function computePlacement(sources, bounds, scale, options = {}) {
+  const settings = { ...defaultPlacement, ...options };
+  const { min, max } = bounds;
+
+  let center = [0, 1, 2].map(k => (min[k] + max[k]) * 0.5);
+  if (settings.center === 'centroid') {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const { positions } of sources) {
+      for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) sum[k] += positions[i + k];
+      }
+      count += positions.length / 3;
+    }
+    if (count > 0) center = sum.map(v => v / count);
+  }
+
+  let factor = scale;
+  if (settings.normalize === 'longest') {
+    const longest = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    if (longest > 0) factor = scale / longest;
+  } else if (settings.normalize === 'sphere') {
+    let radius = 0;
+    for (const { positions } of sources) {
+      for (let i = 0; i < positions.length; i += 3) {
+        radius = Math.max(radius, Math.hypot(positions[i] - center[0], positions[i + 1] - center[1], positions[i + 2] - center[2]));
+      }
+    }
+    if (radius > 0) factor = scale / (radius * 2);
+  }
+
+  const up = upAxes[settings.up] || upAxes.y;
+  return {
+    center,
+    scale: factor,
+    rotation: multiply3(eulerMatrix(settings.rotation), up),
+    offset: [...settings.offset]
+  };
+}
+
+// Writes the placed point (x, y, z) into out at index o
+function placePoint(placement, x, y, z, out, o) {
+  const { center, scale, rotation: r, offset } = placement;
+  const px = (x - center[0]) * scale, py = (y - center[1]) * scale, pz = (z - center[2]) * scale;
+  out[o] = r[0] * px + r[1] * py + r[2] * pz + offset[0];
+  out[o + 1] = r[3] * px + r[4] * py + r[5] * pz + offset[1];
+  out[o + 2] = r[6] * px + r[7] * py + r[8] * pz + offset[2];
+}
+
+// Places positions in place; normals (optional) are only turned
+function applyPlacement(placement, positions, normals = null) {
+  for (let i = 0; i < positions.length; i += 3) {
+    placePoint(placement, positions[i], positions[i + 1], positions[i + 2], positions, i);
+  }
+  if (normals) rotateVectors(placement, normals);
+  return positions;
+}
+
+function rotateVectors(placement, vectors) {
+  const r = placement.rotation;
+  for (let i = 0; i < vectors.length; i += 3) {
+    const x = vectors[i], y = vectors[i + 1], z = vectors[i + 2];
+    vectors[i] = r[0] * x + r[1] * y + r[2] * z;
+    vectors[i + 1] = r[3] * x + r[4] * y + r[5] * z;
+    vectors[i + 2] = r[6] * x + r[7] * y + r[8] * z;
+  }
+  return vectors;
+}
+
+export {
+  defaultPlacement, normalizeModes, centerModes, upAxes,
+  computePlacement, placePoint, applyPlacement, rotateVectors
+};
@@ -0,0 +1,118 @@
+import { FileLoader } from 'three';
+import { PCDLoader } from 'three/addons/loaders/PCDLoader.js';
+import { srgbToLinear } from './sampling.js';
+
+// =================================================================================================
+// Point Cloud Sources
+// =================================================================================================
+// Scans arrive as bare points. These loaders resolve to { cloud: { positions, colors } }
+// (colors linear RGB, or null) instead of a scene, and skip mesh sampling entirely.
+
+function loadFile(url, onProgress, responseType) {
+  const loader = new FileLoader();
+  if (responseType) loader.setResponseType(responseType);
+  return loader.loadAsync(url, onProgress);
+}
+
+function geometryToCloud(geometry) {
+  const position = geometry.attributes.position;
+  const color = geometry.attributes.color;
+  const positions = new Float32Array(position.count * 3);
+  const colors = color ? new Float32Array(position.count * 3) : null;
+  for (let i = 0; i < position.count; i++) {
+    positions[i * 3] = position.getX(i);
+    positions[i * 3 + 1] = position.getY(i);
+    positions[i * 3 + 2] = position.getZ(i);
+    if (colors) {
+      colors[i * 3] = color.getX(i);
+      colors[i * 3 + 1] = color.getY(i);
+      colors[i * 3 + 2] = color.getZ(i);
+    }
+  }
+  return { positions, colors };
+}
+
+// XYZ / CSV: one point per line, "x y z" optionally followed by "r g b" (0-1 or 0-255).
+// Header and comment lines are skipped because they do not start with three numbers.
+function parseXYZ(text) {
+  const positions = [];
+  const colors = [];
+  let hasColors = true;
+
+  for (const line of text.split(/\r?\n/)) {
+    const values = line.trim().split(/[\s,;]+/).map(Number);
+    if (values.length < 3 || values.slice(0, 3).some(Number.isNaN)) continue;
+    positions.push(values[0], values[1], values[2]);
+
+    const rgb = values.slice(3, 6);
+    if (rgb.length < 3 || rgb.some(Number.isNaN)) {
+      hasColors = false;
+      continue;
+    }
+    const range = rgb.some(v => v > 1) ? 255 : 1;
+    colors.push(...rgb.map(v => srgbToLinear(v / range)));
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    colors: hasColors && colors.length === positions.length ? new Float32Array(colors) : null
+  };
+}
+
+// Byte offset of the RGB triplet inside a LAS point record, by point data format
+const lasColorOffsets = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+// ASPRS LAS 1.0-1.4 (uncompressed). LAZ files are rejected with a clear message.
+function parseLAS(buffer) {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (signature !== 'LASF') throw new Error('Not a LAS file (missing LASF signature)');
+
+  const versionMinor = view.getUint8(25);
+  const pointOffset = view.getUint32(96, true);
+  const rawFormat = view.getUint8(104);
+  if (rawFormat & 0xC0) throw new Error('Compressed LAZ point clouds are not supported - decompress to LAS first');
+  const format = rawFormat & 0x3F;
+  const recordLength = view.getUint16(105, true);
+
+  let count = view.getUint32(107, true);
+  if (count === 0 && versionMinor >= 4) count = Number(view.getBigUint64(247, true));
+  count = Math.min(count, Math.floor((buffer.byteLength - pointOffset) / recordLength));
+
+  const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+  const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+  const colorOffset = lasColorOffsets[format] + 6 <= recordLength ? lasColorOffsets[format] : undefined;
+
+  const positions = new Float32Array(count * 3);
+  const colors = colorOffset !== undefined ? new Float32Array(count * 3) : null;
+  let maxColor = 0;
+  for (let i = 0; i < count; i++) {
+    const record = pointOffset + i * recordLength;
+    for (let k = 0; k < 3; k++) {
+      positions[i * 3 + k] = view.getInt32(record + k * 4, true) * scale[k] + offset[k];
+      if (colors) {
+        colors[i * 3 + k] = view.getUint16(record + colorOffset + k * 2, true);
+        maxColor = Math.max(maxColor, colors[i * 3 + k]);
+      }
+    }
+  }
+
+  // The spec says 16-bit color, but many writers store 8-bit values
+  if (colors) {
+    const range = maxColor <= 255 ? 255 : 65535;
+    for (let i = 0; i < colors.length; i++) colors[i] = srgbToLinear(colors[i] / range);
+  }
+  return { positions, colors };
+}
+
+const cloudLoaders = {
+  xyz: async (url, renderer, onProgress) => ({ cloud: parseXYZ(await loadFile(url, onProgress)) }),
+  csv: async (url, renderer, onProgress) => ({ cloud: parseXYZ(await loadFile(url, onProgress)) }),
+  pcd: async (url, renderer, onProgress) => {
+    const points = await new PCDLoader().loadAsync(url, onProgress);
+    return { cloud: geometryToCloud(points.geometry) };
+  },
+  las: async (url, renderer, onProgress) => ({ cloud: parseLAS(await loadFile(url, onProgress, 'arraybuffer')) })
+};
+
+export { cloudLoaders, geometryToCloud, parseXYZ, parseLAS };
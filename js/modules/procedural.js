@@ -0,0 +1,326 @@
+import { createRandom, srgbToLinear } from './sampling.js';
+
+// =================================================================================================
+// Procedural Shapes
+// =================================================================================================
+// Built-in targets that need no asset loading. Each generator fills exactly totalPoints positions
+// in scene units, plus normals unless the shape sets normals: false, plus colors (used by the
+// model palette) when it sets colors: true. Like sampling.js this module does not depend on three.
+
+const TAU = Math.PI * 2;
+
+function normalize3(out, i3, x, y, z) {
+  const length = Math.hypot(x, y, z) || 1;
+  out[i3] = x / length;
+  out[i3 + 1] = y / length;
+  out[i3 + 2] = z / length;
+}
+
+function hexToLinear(hex) {
+  return [hex >> 16, (hex >> 8) & 255, hex & 255].map(c => srgbToLinear(c / 255));
+}
+
+// Any vector perpendicular to (x, y, z), for framing points around a curve
+function perpendicular(x, y, z) {
+  return Math.abs(x) < 0.9 ? [0, z, -y] : [-z, 0, x];
+}
+
+// Spreads points around a parametric curve as a tube; curve(t) takes t in [0, 1)
+function sampleTube(curve, totalPoints, radius, random, positions, normals, offset = 0, count = totalPoints) {
+  const a = [0, 0, 0], b = [0, 0, 0];
+  for (let i = offset; i < offset + count; i++) {
+    const t = random();
+    curve(t, a);
+    curve(t + 1e-4, b);
+    const tangent = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const tLength = Math.hypot(...tangent) || 1;
+    tangent.forEach((v, k) => { tangent[k] = v / tLength; });
+
+    const n = perpendicular(...tangent);
+    const nLength = Math.hypot(...n) || 1;
+    n.forEach((v, k) => { n[k] = v / nLength; });
+    const bi = [
+      tangent[1] * n[2] - tangent[2] * n[1],
+      tangent[2] * n[0] - tangent[0] * n[2],
+      tangent[0] * n[1] - tangent[1] * n[0]
+    ];
+
+    // sqrt keeps the cross-section uniformly filled rather than bunched at the core
+    const angle = random() * TAU;
+    const r = radius * Math.sqrt(random());
+    const dx = n[0] * Math.cos(angle) + bi[0] * Math.sin(angle);
+    const dy = n[1] * Math.cos(angle) + bi[1] * Math.sin(angle);
+    const dz = n[2] * Math.cos(angle) + bi[2] * Math.sin(angle);
+
+    const i3 = i * 3;
+    positions[i3] = a[0] + dx * r;
+    positions[i3 + 1] = a[1] + dy * r;
+    positions[i3 + 2] = a[2] + dz * r;
+    normalize3(normals, i3, dx, dy, dz);
+  }
+}
+
+// Parameter ranges double as the control panel sliders
+const proceduralShapes = {
+  sphere: {
+    label: 'Sphere',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 10, step: 0.1, value: 5 }
+    },
+    generate(totalPoints, { radius }, random, { positions, normals }) {
+      for (let i = 0; i < totalPoints; i++) {
+        const z = random() * 2 - 1;
+        const phi = random() * TAU;
+        const ring = Math.sqrt(1 - z * z);
+        const i3 = i * 3;
+        normalize3(normals, i3, ring * Math.cos(phi), z, ring * Math.sin(phi));
+        for (let k = 0; k < 3; k++) positions[i3 + k] = normals[i3 + k] * radius;
+      }
+    }
+  },
+
+  torus: {
+    label: 'Torus',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 8, step: 0.1, value: 4 },
+      tube: { label: 'Tube', min: 0.1, max: 4, step: 0.1, value: 1.5 }
+    },
+    generate(totalPoints, { radius, tube }, random, { positions, normals }) {
+      for (let i = 0; i < totalPoints; i++) {
+        // Rejection keeps the outer rim from looking sparser than the inner one
+        let u, v;
+        do {
+          u = random() * TAU;
+          v = random() * TAU;
+        } while (random() * (radius + tube) > radius + tube * Math.cos(v));
+
+        const i3 = i * 3;
+        const ring = radius + tube * Math.cos(v);
+        positions[i3] = ring * Math.cos(u);
+        positions[i3 + 1] = tube * Math.sin(v);
+        positions[i3 + 2] = ring * Math.sin(u);
+        normalize3(normals, i3, Math.cos(v) * Math.cos(u), Math.sin(v), Math.cos(v) * Math.sin(u));
+      }
+    }
+  },
+
+  torusKnot: {
+    label: 'Torus Knot',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 8, step: 0.1, value: 4 },
+      tube: { label: 'Tube', min: 0.05, max: 2, step: 0.05, value: 0.6 },
+      p: { label: 'Windings (p)', min: 1, max: 10, step: 1, value: 2 },
+      q: { label: 'Loops (q)', min: 1, max: 10, step: 1, value: 3 }
+    },
+    generate(totalPoints, { radius, tube, p, q }, random, { positions, normals }) {
+      const curve = (t, out) => {
+        const angle = t * TAU;
+        const ring = radius * (2 + Math.cos(q * angle)) / 3;
+        out[0] = ring * Math.cos(p * angle);
+        out[1] = radius * Math.sin(q * angle) / 3;
+        out[2] = ring * Math.sin(p * angle);
+      };
+      sampleTube(curve, totalPoints, tube, random, positions, normals);
+    }
+  },
+
+  helix: {
+    label: 'Helix',
+    params: {
+      radius: { label: 'Radius', min: 0.5, max: 8, step: 0.1, value: 3 },
+      height: { label: 'Height', min: 1, max: 20, step: 0.5, value: 10 },
+      turns: { label: 'Turns', min: 1, max: 20, step: 1, value: 5 },
+      thickness: { label: 'Thickness', min: 0.01, max: 2, step: 0.01, value: 0.3 }
+    },
+    generate(totalPoints, { radius, height, turns, thickness }, random, { positions, normals }) {
+      const curve = (t, out) => {
+        out[0] = radius * Math.cos(t * turns * TAU);
+        out[1] = (t - 0.5) * height;
+        out[2] = radius * Math.sin(t * turns * TAU);
+      };
+      sampleTube(curve, totalPoints, thickness, random, positions, normals);
+    }
+  },
+
+  mobius: {
+    label: 'Möbius Strip',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 8, step: 0.1, value: 4 },
+      width: { label: 'Width', min: 0.2, max: 6, step: 0.1, value: 2.5 },
+      twists: { label: 'Half Twists', min: 1, max: 9, step: 1, value: 1 }
+    },
+    generate(totalPoints, { radius, width, twists }, random, { positions, normals }) {
+      const point = (u, v, out) => {
+        const half = twists * u / 2;
+        const ring = radius + v * Math.cos(half);
+        out[0] = ring * Math.cos(u);
+        out[1] = v * Math.sin(half);
+        out[2] = ring * Math.sin(u);
+      };
+      const a = [0, 0, 0], du = [0, 0, 0], dv = [0, 0, 0];
+      for (let i = 0; i < totalPoints; i++) {
+        const u = random() * TAU;
+        const v = (random() - 0.5) * width;
+        point(u, v, a);
+        point(u + 1e-4, v, du);
+        point(u, v + 1e-4, dv);
+        for (let k = 0; k < 3; k++) {
+          du[k] -= a[k];
+          dv[k] -= a[k];
+        }
+
+        const i3 = i * 3;
+        positions.set(a, i3);
+        normalize3(normals, i3,
+          du[1] * dv[2] - du[2] * dv[1],
+          du[2] * dv[0] - du[0] * dv[2],
+          du[0] * dv[1] - du[1] * dv[0]
+        );
+      }
+    }
+  },
+
+  lissajous: {
+    label: 'Lissajous Curve',
+    params: {
+      size: { label: 'Size', min: 1, max: 10, step: 0.1, value: 5 },
+      a: { label: 'X Frequency', min: 1, max: 12, step: 1, value: 3 },
+      b: { label: 'Y Frequency', min: 1, max: 12, step: 1, value: 2 },
+      c: { label: 'Z Frequency', min: 1, max: 12, step: 1, value: 5 },
+      thickness: { label: 'Thickness', min: 0.01, max: 1, step: 0.01, value: 0.1 }
+    },
+    generate(totalPoints, { size, a, b, c, thickness }, random, { positions, normals }) {
+      const curve = (t, out) => {
+        const angle = t * TAU;
+        out[0] = size * Math.sin(a * angle + Math.PI / 2);
+        out[1] = size * Math.sin(b * angle);
+        out[2] = size * Math.sin(c * angle);
+      };
+      sampleTube(curve, totalPoints, thickness, random, positions, normals);
+    }
+  },
+
+  galaxy: {
+    label: 'Spiral Galaxy',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 12, step: 0.1, value: 7 },
+      arms: { label: 'Arms', min: 1, max: 8, step: 1, value: 3 },
+      spin: { label: 'Spin', min: -3, max: 3, step: 0.1, value: 1.2 },
+      spread: { label: 'Arm Spread', min: 0, max: 1, step: 0.01, value: 0.35 },
+      thickness: { label: 'Thickness', min: 0, max: 2, step: 0.05, value: 0.4 }
+    },
+    generate(totalPoints, { radius, arms, spin, spread, thickness }, random, { positions, colors }) {
+      const core = hexToLinear(0xffd9a0);
+      const rim = hexToLinear(0x4060ff);
+      for (let i = 0; i < totalPoints; i++) {
+        // Squared distance crowds particles toward the bright core
+        const d = Math.pow(random(), 2);
+        const r = d * radius;
+        const arm = Math.floor(random() * arms);
+        const angle = arm / arms * TAU + d * spin * TAU;
+        const scatter = () => Math.pow(random(), 3) * (random() < 0.5 ? -1 : 1) * spread * r;
+
+        const i3 = i * 3;
+        positions[i3] = Math.cos(angle) * r + scatter();
+        // The disc bulges around the core
+        positions[i3 + 1] = (random() - 0.5) * thickness * (1.5 - d);
+        positions[i3 + 2] = Math.sin(angle) * r + scatter();
+        for (let k = 0; k < 3; k++) colors[i3 + k] = core[k] + (rim[k] - core[k]) * d;
+      }
+    },
+    colors: true,
+    normals: false
+  },
+
+  dna: {
+    label: 'DNA Double Helix',
+    params: {
+      radius: { label: 'Radius', min: 0.5, max: 6, step: 0.1, value: 2 },
+      height: { label: 'Height', min: 2, max: 20, step: 0.5, value: 12 },
+      turns: { label: 'Turns', min: 1, max: 10, step: 1, value: 3 },
+      rungs: { label: 'Base Pairs', min: 0, max: 60, step: 1, value: 24 },
+      thickness: { label: 'Thickness', min: 0.01, max: 1, step: 0.01, value: 0.15 }
+    },
+    generate(totalPoints, { radius, height, turns, rungs, thickness }, random, { positions, normals, colors }) {
+      const strandColors = [hexToLinear(0x00c8ff), hexToLinear(0xff3c8c)];
+      const rungColors = [hexToLinear(0x40ff80), hexToLinear(0xffd040)];
+      const strand = (phase) => (t, out) => {
+        const angle = t * turns * TAU + phase;
+        out[0] = radius * Math.cos(angle);
+        out[1] = (t - 0.5) * height;
+        out[2] = radius * Math.sin(angle);
+      };
+
+      // Backbones get most of the particles; the rest form the base-pair rungs between them
+      const rungCount = rungs > 0 ? Math.floor(totalPoints * 0.3) : 0;
+      const strandCount = totalPoints - rungCount;
+      const first = Math.ceil(strandCount / 2);
+      sampleTube(strand(0), totalPoints, thickness, random, positions, normals, 0, first);
+      sampleTube(strand(Math.PI), totalPoints, thickness, random, positions, normals, first, strandCount - first);
+      for (let i = 0; i < strandCount; i++) {
+        colors.set(strandColors[i < first ? 0 : 1], i * 3);
+      }
+
+      const a = [0, 0, 0], b = [0, 0, 0];
+      for (let i = strandCount; i < totalPoints; i++) {
+        const rung = Math.floor(random() * rungs);
+        const t = (rung + 0.5) / rungs;
+        strand(0)(t, a);
+        strand(Math.PI)(t, b);
+        const s = random();
+        const i3 = i * 3;
+        for (let k = 0; k < 3; k++) {
+          positions[i3 + k] = a[k] + (b[k] - a[k]) * s + (random() - 0.5) * thickness;
+        }
+        normalize3(normals, i3, 0, 1, 0);
+        colors.set(rungColors[s < 0.5 ? 0 : 1], i3);
+      }
+    },
+    colors: true
+  },
+
+  fibonacci: {
+    label: 'Fibonacci Sphere',
+    params: {
+      radius: { label: 'Radius', min: 1, max: 10, step: 0.1, value: 5 }
+    },
+    // Evenly spaced by the golden angle - deterministic, no random placement
+    generate(totalPoints, { radius }, random, { positions, normals }) {
+      const golden = Math.PI * (3 - Math.sqrt(5));
+      for (let i = 0; i < totalPoints; i++) {
+        const y = 1 - (i + 0.5) / totalPoints * 2;
+        const ring = Math.sqrt(1 - y * y);
+        const i3 = i * 3;
+        normalize3(normals, i3, Math.cos(golden * i) * ring, y, Math.sin(golden * i) * ring);
+        for (let k = 0; k < 3; k++) positions[i3 + k] = normals[i3 + k] * radius;
+      }
+    }
+  }
+};
+
+function getProceduralDefaults(type) {
+  const shape = proceduralShapes[type];
+  if (!shape) throw new Error(`Unknown procedural shape "${type}" (available: ${Object.keys(proceduralShapes).join(', ')})`);
+  return Object.fromEntries(Object.entries(shape.params).map(([key, param]) => [key, param.value]));
+}
+
+// Same { positions, colors, normals, rig } target that the file sources produce
+function createProceduralTarget(type, totalPoints, params = {}, seed = 1) {
+  const shape = proceduralShapes[type];
+  const values = { ...getProceduralDefaults(type), ...params };
+  const buffers = {
+    positions: new Float32Array(totalPoints * 3),
+    normals: new Float32Array(totalPoints * 3),
+    colors: new Float32Array(totalPoints * 3)
+  };
+  shape.generate(totalPoints, values, createRandom(seed), buffers);
+
+  return {
+    positions: buffers.positions,
+    colors: shape.colors ? buffers.colors : null,
+    normals: shape.normals === false ? null : buffers.normals,
+    rig: null
+  };
+}
+
+export { proceduralShapes, getProceduralDefaults, createProceduralTarget };
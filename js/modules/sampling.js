@@ -0,0 +1,1133 @@
+// Point sampling for morph targets.
+// Kept free of the 'three' import so the same code can run outside the page.
+
+import { computePlacement, applyPlacement, rotateVectors } from './placement.js';
+
+// =================================================================================================
+// Seeded Random
+// =================================================================================================
+
+// Mulberry32 - tiny PRNG so the same model always yields the same point set
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// =================================================================================================
+// Mesh Extraction
+// =================================================================================================
+
+function srgbToLinear(c) {
+  return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+// Copies a texture's pixels so they can be sampled at arbitrary UVs
+function readTexturePixels(texture, maxSize = 1024) {
+  const image = texture && texture.image;
+  if (!image || !image.width) return null;
+  // Raw RGBA (a DataTexture, as built outside the page) is used as is
+  if (image.data && image.data.length === image.width * image.height * 4) {
+    return { width: image.width, height: image.height, data: image.data, flipY: texture.flipY };
+  }
+  if (typeof OffscreenCanvas === 'undefined') return null;
+
+  const ratio = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * ratio));
+  const height = Math.max(1, Math.round(image.height * ratio));
+  const ctx = new OffscreenCanvas(width, height).getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  return { width, height, data: ctx.getImageData(0, 0, width, height).data, flipY: texture.flipY };
+}
+
+// Inverse transpose of the upper 3x3, up to a positive scale (normals are renormalized anyway)
+function normalMatrixFromElements(e) {
+  const a = e[0], b = e[4], c = e[8];
+  const d = e[1], f = e[5], g = e[9];
+  const h = e[2], k = e[6], l = e[10];
+  const m = [
+    f * l - g * k, g * h - d * l, d * k - f * h,
+    c * k - b * l, a * l - c * h, b * h - a * k,
+    b * g - c * f, c * d - a * g, a * f - b * d
+  ];
+  const det = a * m[0] + b * m[1] + c * m[2];
+  return det < 0 ? m.map(x => -x) : m;
+}
+
+// Area-weighted smooth normals for meshes exported without a NORMAL attribute
+function computeVertexNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t] * 3, b = indices[t + 1] * 3, c = indices[t + 2] * 3;
+    const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+    const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    for (const v of [a, b, c]) {
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    }
+  }
+  return normalizeVectors(normals);
+}
+
+function normalizeVectors(vectors) {
+  for (let i = 0; i < vectors.length; i += 3) {
+    const length = Math.hypot(vectors[i], vectors[i + 1], vectors[i + 2]);
+    if (length === 0) continue;
+    vectors[i] /= length;
+    vectors[i + 1] /= length;
+    vectors[i + 2] /= length;
+  }
+  return vectors;
+}
+
+function readAttribute(attribute, itemSize) {
+  const out = new Float32Array(attribute.count * itemSize);
+  const getters = ['getX', 'getY', 'getZ'];
+  for (let i = 0; i < attribute.count; i++) {
+    for (let k = 0; k < itemSize; k++) out[i * itemSize + k] = attribute[getters[k]](i);
+  }
+  return out;
+}
+
+// Child-index path from root, e.g. '0/2' - stable across loads of the same file, unlike names
+function nodePath(root, object) {
+  const steps = [];
+  for (let node = object; node !== root && node.parent; node = node.parent) {
+    steps.unshift(node.parent.children.indexOf(node));
+  }
+  return steps.join('/');
+}
+
+// Flattens every mesh under root into world-space positions, normals and a triangle index list,
+// keeping what is needed to color the samples (vertex colors, UVs and base material) and the
+// id of the node it came from
+function extractMeshes(root) {
+  root.updateMatrixWorld(true);
+  const meshes = [];
+
+  root.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+    const geometry = child.geometry;
+    const positionAttribute = geometry.attributes.position;
+    if (!positionAttribute) return;
+
+    const e = child.matrixWorld.elements;
+    const vertexCount = positionAttribute.count;
+    const positions = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount; i++) {
+      const x = positionAttribute.getX(i);
+      const y = positionAttribute.getY(i);
+      const z = positionAttribute.getZ(i);
+      const i3 = i * 3;
+      positions[i3] = e[0] * x + e[4] * y + e[8] * z + e[12];
+      positions[i3 + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+      positions[i3 + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+    }
+
+    // Non-indexed geometry is a plain triangle soup
+    let indices;
+    if (geometry.index) {
+      indices = Uint32Array.from(geometry.index.array);
+    } else {
+      indices = new Uint32Array(vertexCount - (vertexCount % 3));
+      for (let i = 0; i < indices.length; i++) indices[i] = i;
+    }
+
+    let normals;
+    const normalAttribute = geometry.attributes.normal;
+    if (normalAttribute) {
+      const n = normalMatrixFromElements(e);
+      normals = readAttribute(normalAttribute, 3);
+      for (let i = 0; i < normals.length; i += 3) {
+        const x = normals[i], y = normals[i + 1], z = normals[i + 2];
+        normals[i] = n[0] * x + n[3] * y + n[6] * z;
+        normals[i + 1] = n[1] * x + n[4] * y + n[7] * z;
+        normals[i + 2] = n[2] * x + n[5] * y + n[8] * z;
+      }
+      normalizeVectors(normals);
+    } else {
+      normals = computeVertexNormals(positions, indices);
+    }
+
+    // Multi-material meshes are colored by their first material
+    const material = Array.isArray(child.material) ? child.material[0] : child.material;
+    const colorAttribute = geometry.attributes.color;
+    const uvAttribute = geometry.attributes.uv;
+
+    meshes.push({
+      object: child,
+      node: nodePath(root, child),
+      positions,
+      normals,
+      indices,
+      colors: colorAttribute && material && material.vertexColors ? readAttribute(colorAttribute, 3) : null,
+      uvs: uvAttribute ? readAttribute(uvAttribute, 2) : null,
+      baseColor: material && material.color ? [material.color.r, material.color.g, material.color.b] : [1, 1, 1],
+      texture: material && uvAttribute ? readTexturePixels(material.map) : null
+    });
+  });
+
+  return meshes;
+}
+
+// =================================================================================================
+// Scene Nodes
+// =================================================================================================
+// Node settings ({ [node id]: { include, weight } }) pick which parts of a scene get particles and
+// how densely. A setting applies to its node and everything below it; weights multiply down the tree.
+
+// Depth-first list of the nodes that hold meshes: { id, name, depth, meshes } (meshes counts the
+// mesh objects at or below the node)
+function describeNodes(root) {
+  const nodes = [];
+  const visit = (object, id, depth) => {
+    const node = { id, name: object.name || (object.isMesh ? 'Mesh' : 'Node'), depth, meshes: object.isMesh ? 1 : 0 };
+    nodes.push(node);
+    object.children.forEach((child, i) => {
+      node.meshes += visit(child, `${id}/${i}`, depth + 1);
+    });
+    return node.meshes;
+  };
+  root.children.forEach((child, i) => visit(child, `${i}`, 0));
+  return nodes.filter(node => node.meshes > 0);
+}
+
+// Drops excluded meshes; weights holds the effective density weight of each one kept
+function applyNodeSettings(meshes, settings = {}) {
+  const kept = [];
+  const weights = [];
+  for (const mesh of meshes) {
+    const steps = mesh.node.split('/');
+    let weight = 1;
+    for (let depth = 1; depth <= steps.length && weight > 0; depth++) {
+      const setting = settings[steps.slice(0, depth).join('/')];
+      if (!setting) continue;
+      if (setting.include === false) weight = 0;
+      else if (setting.weight !== undefined) weight *= setting.weight;
+    }
+    if (weight > 0) {
+      kept.push(mesh);
+      weights.push(weight);
+    }
+  }
+  return { meshes: kept, weights };
+}
+
+function computeBounds(meshes) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const mesh of meshes) {
+    const p = mesh.positions;
+    for (let i = 0; i < p.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        if (p[i + k] < min[k]) min[k] = p[i + k];
+        if (p[i + k] > max[k]) max[k] = p[i + k];
+      }
+    }
+  }
+  return { min, max };
+}
+
+// =================================================================================================
+// Samples
+// =================================================================================================
+
+// Every sample remembers where it came from: a mesh, three of its vertices and
+// barycentric weights. Colors and other vertex data are interpolated through it.
+function createSamples(totalPoints) {
+  return {
+    count: totalPoints,
+    positions: new Float32Array(totalPoints * 3),
+    mesh: new Int32Array(totalPoints).fill(-1),
+    vertices: new Uint32Array(totalPoints * 3),
+    weights: new Float32Array(totalPoints * 3)
+  };
+}
+
+function bindSample(samples, i, meshes, m, a, b, c, u, v, w) {
+  const i3 = i * 3;
+  samples.mesh[i] = m;
+  samples.vertices[i3] = a;
+  samples.vertices[i3 + 1] = b;
+  samples.vertices[i3 + 2] = c;
+  samples.weights[i3] = u;
+  samples.weights[i3 + 1] = v;
+  samples.weights[i3 + 2] = w;
+
+  const p = meshes[m].positions;
+  for (let k = 0; k < 3; k++) {
+    samples.positions[i3 + k] = p[a * 3 + k] * u + p[b * 3 + k] * v + p[c * 3 + k] * w;
+  }
+}
+
+// Copies source[0..count) into target starting at sample index offset
+function copySamples(target, source, offset) {
+  target.positions.set(source.positions, offset * 3);
+  target.mesh.set(source.mesh, offset);
+  target.vertices.set(source.vertices, offset * 3);
+  target.weights.set(source.weights, offset * 3);
+}
+
+// =================================================================================================
+// Samplers
+// =================================================================================================
+
+// Picks existing vertices - strides through dense meshes, repeats sparse ones
+function sampleVertices(meshes, totalPoints) {
+  const samples = createSamples(totalPoints);
+  const vertexCount = meshes.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0);
+  if (vertexCount === 0) return samples;
+
+  // Prefix offsets let us address the concatenated vertex list without copying it
+  const offsets = [];
+  let offset = 0;
+  for (const mesh of meshes) {
+    offsets.push(offset);
+    offset += mesh.positions.length / 3;
+  }
+
+  let m = 0;
+  for (let i = 0; i < totalPoints; i++) {
+    const idx = vertexCount >= totalPoints
+      ? Math.floor((i / totalPoints) * vertexCount)
+      : i % vertexCount;
+    if (idx < offsets[m]) m = 0;
+    while (m + 1 < meshes.length && idx >= offsets[m + 1]) m++;
+    const vertex = idx - offsets[m];
+    bindSample(samples, i, meshes, m, vertex, vertex, vertex, 1, 0, 0);
+  }
+  return samples;
+}
+
+// Distributes points uniformly over triangle area using the index buffers
+function sampleSurface(meshes, totalPoints, random) {
+  const samples = createSamples(totalPoints);
+
+  // Cumulative area table over every triangle of every mesh
+  const triangleMesh = [];
+  const triangleStart = [];
+  const cumulative = [];
+  let totalArea = 0;
+  meshes.forEach((mesh, m) => {
+    const p = mesh.positions;
+    const idx = mesh.indices;
+    for (let t = 0; t < idx.length; t += 3) {
+      const a = idx[t] * 3, b = idx[t + 1] * 3, c = idx[t + 2] * 3;
+      const abx = p[b] - p[a], aby = p[b + 1] - p[a + 1], abz = p[b + 2] - p[a + 2];
+      const acx = p[c] - p[a], acy = p[c + 1] - p[a + 1], acz = p[c + 2] - p[a + 2];
+      const cx = aby * acz - abz * acy;
+      const cy = abz * acx - abx * acz;
+      const cz = abx * acy - aby * acx;
+      const area = 0.5 * Math.sqrt(cx * cx + cy * cy + cz * cz);
+      if (area <= 0) continue;
+      totalArea += area;
+      triangleMesh.push(m);
+      triangleStart.push(t);
+      cumulative.push(totalArea);
+    }
+  });
+
+  if (totalArea === 0) return sampleVertices(meshes, totalPoints);
+
+  for (let i = 0; i < totalPoints; i++) {
+    // Stratified draw keeps neighbouring particles on neighbouring triangles, like vertex order
+    const r = ((i + random()) / totalPoints) * totalArea;
+    let lo = 0, hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < r) lo = mid + 1; else hi = mid;
+    }
+
+    const m = triangleMesh[lo];
+    const t = triangleStart[lo];
+    const idx = meshes[m].indices;
+
+    // Uniform barycentric coordinates
+    const s = Math.sqrt(random());
+    const u = 1 - s;
+    const v = s * (1 - random());
+    bindSample(samples, i, meshes, m, idx[t], idx[t + 1], idx[t + 2], u, v, 1 - u - v);
+  }
+  return samples;
+}
+
+// =================================================================================================
+// Volume Fill
+// =================================================================================================
+
+// Bins triangles by their footprint on the plane perpendicular to axis,
+// so a parity ray cast along that axis only tests triangles in one cell
+function buildParityGrid(meshes, bounds, axis, resolution = 48) {
+  const u = (axis + 1) % 3;
+  const v = (axis + 2) % 3;
+  const scaleU = resolution / Math.max(bounds.max[u] - bounds.min[u], 1e-9);
+  const scaleV = resolution / Math.max(bounds.max[v] - bounds.min[v], 1e-9);
+  const cellOf = (value, k, scale) =>
+    Math.min(resolution - 1, Math.max(0, Math.floor((value - bounds.min[k]) * scale)));
+
+  const cells = Array.from({ length: resolution * resolution }, () => []);
+  const coords = [];
+  const refs = [];
+  meshes.forEach((mesh, m) => {
+    const p = mesh.positions;
+    const idx = mesh.indices;
+    for (let t = 0; t < idx.length; t += 3) {
+      const id = refs.length / 2;
+      refs.push(m, t);
+      for (let k = 0; k < 3; k++) {
+        const src = idx[t + k] * 3;
+        coords.push(p[src], p[src + 1], p[src + 2]);
+      }
+      const base = id * 9;
+      const u0 = cellOf(Math.min(coords[base + u], coords[base + 3 + u], coords[base + 6 + u]), u, scaleU);
+      const u1 = cellOf(Math.max(coords[base + u], coords[base + 3 + u], coords[base + 6 + u]), u, scaleU);
+      const v0 = cellOf(Math.min(coords[base + v], coords[base + 3 + v], coords[base + 6 + v]), v, scaleV);
+      const v1 = cellOf(Math.max(coords[base + v], coords[base + 3 + v], coords[base + 6 + v]), v, scaleV);
+      for (let cu = u0; cu <= u1; cu++) {
+        for (let cv = v0; cv <= v1; cv++) cells[cu * resolution + cv].push(id);
+      }
+    }
+  });
+
+  return { axis, u, v, cells, coords: new Float32Array(coords), refs, cellOf, scaleU, scaleV, resolution };
+}
+
+// Counts triangles crossed by a ray from point towards +axis.
+// The nearest crossing is written to hit so interior points can borrow its surface data.
+function countCrossings(grid, x, hit) {
+  const { axis, u, v, coords } = grid;
+  const cell = grid.cells[grid.cellOf(x[u], u, grid.scaleU) * grid.resolution + grid.cellOf(x[v], v, grid.scaleV)];
+  let crossings = 0;
+  hit.distance = Infinity;
+  for (const id of cell) {
+    const b = id * 9;
+    const au = coords[b + u], av = coords[b + v];
+    const e1u = coords[b + 3 + u] - au, e1v = coords[b + 3 + v] - av;
+    const e2u = coords[b + 6 + u] - au, e2v = coords[b + 6 + v] - av;
+    const det = e1u * e2v - e2u * e1v;
+    if (det === 0) continue;
+    const pu = x[u] - au, pv = x[v] - av;
+    const s = (pu * e2v - e2u * pv) / det;
+    const t = (e1u * pv - pu * e1v) / det;
+    if (s < 0 || t < 0 || s + t > 1) continue;
+    const distance = coords[b + axis] * (1 - s - t) + coords[b + 3 + axis] * s + coords[b + 6 + axis] * t - x[axis];
+    if (distance <= 0) continue;
+    crossings++;
+    if (distance < hit.distance) {
+      hit.distance = distance;
+      hit.id = id;
+      hit.s = s;
+      hit.t = t;
+    }
+  }
+  return crossings;
+}
+
+// Rejection-samples the closed interior using inside/outside ray parity.
+// Rays along all three axes vote, which tolerates small holes in the mesh.
+function sampleVolume(meshes, totalPoints, random) {
+  const samples = createSamples(totalPoints);
+  const bounds = computeBounds(meshes);
+  const grids = [0, 1, 2].map(axis => buildParityGrid(meshes, bounds, axis));
+  const size = [0, 1, 2].map(k => bounds.max[k] - bounds.min[k]);
+  const x = [0, 0, 0];
+  const hit = {};
+  const binding = {};
+
+  let found = 0;
+  const maxAttempts = totalPoints * 50;
+  for (let attempt = 0; attempt < maxAttempts && found < totalPoints; attempt++) {
+    for (let k = 0; k < 3; k++) x[k] = bounds.min[k] + random() * size[k];
+    let votes = 0;
+    for (const grid of grids) {
+      if (countCrossings(grid, x, hit) % 2 === 0) continue;
+      if (votes === 0) Object.assign(binding, hit, { grid });
+      votes++;
+    }
+    if (votes < 2) continue;
+
+    // Bind to the surface point the first inside ray exits through
+    const m = binding.grid.refs[binding.id * 2];
+    const t = binding.grid.refs[binding.id * 2 + 1];
+    const idx = meshes[m].indices;
+    bindSample(samples, found, meshes, m, idx[t], idx[t + 1], idx[t + 2], 1 - binding.s - binding.t, binding.s, binding.t);
+    samples.positions.set(x, found * 3);
+    found++;
+  }
+
+  // Open meshes have no interior to speak of - fall back to the shell
+  if (found < totalPoints) {
+    copySamples(samples, sampleSurface(meshes, totalPoints - found, random), found);
+  }
+  return samples;
+}
+
+// Shell and interior combined; volumeMix is the interior share (0 = hollow, 1 = solid)
+function sampleShellAndVolume(meshes, totalPoints, random, volumeMix = 0.5) {
+  const volumeCount = Math.round(totalPoints * Math.min(Math.max(volumeMix, 0), 1));
+  const samples = createSamples(totalPoints);
+  copySamples(samples, sampleSurface(meshes, totalPoints - volumeCount, random), 0);
+  copySamples(samples, sampleVolume(meshes, volumeCount, random), totalPoints - volumeCount);
+  return samples;
+}
+
+// =================================================================================================
+// Feature Edges
+// =================================================================================================
+
+// Boundary edges plus edges whose faces meet at more than angle degrees.
+// Vertices are welded by position first, since exporters split them along UV and normal seams.
+function findFeatureEdges(meshes, angle) {
+  const bounds = computeBounds(meshes);
+  const diagonal = Math.hypot(...[0, 1, 2].map(k => bounds.max[k] - bounds.min[k])) || 1;
+  const quantum = diagonal * 1e-5;
+  const cosThreshold = Math.cos((angle * Math.PI) / 180);
+  const features = [];
+
+  meshes.forEach((mesh, m) => {
+    const p = mesh.positions;
+    const idx = mesh.indices;
+    const welded = new Uint32Array(p.length / 3);
+    const weldMap = new Map();
+    for (let i = 0; i < welded.length; i++) {
+      const key = `${Math.round(p[i * 3] / quantum)},${Math.round(p[i * 3 + 1] / quantum)},${Math.round(p[i * 3 + 2] / quantum)}`;
+      if (!weldMap.has(key)) weldMap.set(key, weldMap.size);
+      welded[i] = weldMap.get(key);
+    }
+
+    const edges = new Map();
+    for (let t = 0; t < idx.length; t += 3) {
+      const a = idx[t] * 3, b = idx[t + 1] * 3, c = idx[t + 2] * 3;
+      const abx = p[b] - p[a], aby = p[b + 1] - p[a + 1], abz = p[b + 2] - p[a + 2];
+      const acx = p[c] - p[a], acy = p[c + 1] - p[a + 1], acz = p[c + 2] - p[a + 2];
+      const normal = [aby * acz - abz * acy, abz * acx - abx * acz, abx * acy - aby * acx];
+      const length = Math.hypot(...normal);
+      if (length === 0) continue;
+      normal[0] /= length; normal[1] /= length; normal[2] /= length;
+
+      for (let k = 0; k < 3; k++) {
+        const va = idx[t + k], vb = idx[t + ((k + 1) % 3)];
+        const wa = welded[va], wb = welded[vb];
+        if (wa === wb) continue;
+        const key = wa < wb ? wa * weldMap.size + wb : wb * weldMap.size + wa;
+        const edge = edges.get(key);
+        if (!edge) {
+          edges.set(key, { a: va, b: vb, normal, faces: 1, sharp: false });
+          continue;
+        }
+        edge.faces++;
+        const dot = edge.normal[0] * normal[0] + edge.normal[1] * normal[1] + edge.normal[2] * normal[2];
+        if (dot < cosThreshold) edge.sharp = true;
+      }
+    }
+
+    for (const edge of edges.values()) {
+      // Non-manifold edges (three or more faces) are creases too
+      if (edge.faces !== 2 || edge.sharp) {
+        const a = edge.a * 3, b = edge.b * 3;
+        features.push({ mesh: m, a: edge.a, b: edge.b, length: Math.hypot(p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]) });
+      }
+    }
+  });
+
+  return features;
+}
+
+// Evenly spaced points along feature edges. density is points per unit of edge length
+// in scene units; particles beyond that budget stack onto the outline points.
+function sampleEdges(meshes, totalPoints, random, angle = 30, density = 40, scale = 1) {
+  const edges = findFeatureEdges(meshes, angle).filter(edge => edge.length > 0);
+  const totalLength = edges.reduce((sum, edge) => sum + edge.length, 0);
+  if (totalLength === 0) return sampleSurface(meshes, totalPoints, random);
+
+  const samples = createSamples(totalPoints);
+  const budget = Math.max(1, Math.min(totalPoints, Math.ceil(totalLength * scale * density)));
+  const spacing = totalLength / budget;
+
+  let e = 0;
+  let edgeStart = 0;
+  for (let j = 0; j < budget; j++) {
+    const along = (j + 0.5) * spacing;
+    while (e < edges.length - 1 && along > edgeStart + edges[e].length) {
+      edgeStart += edges[e].length;
+      e++;
+    }
+    const edge = edges[e];
+    const t = Math.min(1, (along - edgeStart) / edge.length);
+    bindSample(samples, j, meshes, edge.mesh, edge.a, edge.b, edge.a, 1 - t, t, 0);
+  }
+
+  for (let i = budget; i < totalPoints; i++) {
+    const j = i % budget;
+    const i3 = i * 3, j3 = j * 3;
+    samples.mesh[i] = samples.mesh[j];
+    samples.positions.copyWithin(i3, j3, j3 + 3);
+    samples.vertices.copyWithin(i3, j3, j3 + 3);
+    samples.weights.copyWithin(i3, j3, j3 + 3);
+  }
+  return samples;
+}
+
+const samplingModes = {
+  vertex: (meshes, totalPoints) => sampleVertices(meshes, totalPoints),
+  surface: (meshes, totalPoints, options) => sampleSurface(meshes, totalPoints, createRandom(options.seed)),
+  volume: (meshes, totalPoints, options) =>
+    sampleShellAndVolume(meshes, totalPoints, createRandom(options.seed), options.volumeMix),
+  edges: (meshes, totalPoints, options, scale) =>
+    sampleEdges(meshes, totalPoints, createRandom(options.seed), options.edgeAngle, options.edgeDensity, scale)
+};
+
+// Sampling options, chosen per shape - mode is a key of samplingModes
+// volumeMix is the share of points placed inside the mesh when mode is 'volume'
+// edgeAngle (degrees) and edgeDensity (points per scene unit) shape the 'edges' outline
+// imageWeight ('auto', 'alpha', 'luminance', 'inverted') and imageDepth only apply to images
+// distribution 'raw' keeps the sampler's output; 'blue-noise' (opt-in, it over-samples and thins)
+// spreads the points evenly
+const defaultSampling = {
+  mode: 'vertex', seed: 1, volumeMix: 0.5, edgeAngle: 30, edgeDensity: 40, imageWeight: 'auto', imageDepth: 0,
+  distribution: 'raw'
+};
+
+// =================================================================================================
+// Blue-Noise Resampling
+// =================================================================================================
+
+// Candidates drawn per final point before elimination
+const BLUE_NOISE_OVERSAMPLING = 4;
+
+// Median distance from a few probe points to their k-th nearest distinct neighbour
+function medianNeighbourDistance(positions, count, k, random, probes = 256) {
+  const distances = [];
+  const nearest = new Float64Array(k);
+  for (let probe = 0; probe < Math.min(probes, count); probe++) {
+    const i = Math.floor(random() * count) * 3;
+    nearest.fill(Infinity);
+    for (let j = 0; j < count * 3; j += 3) {
+      const dx = positions[j] - positions[i], dy = positions[j + 1] - positions[i + 1], dz = positions[j + 2] - positions[i + 2];
+      const d = dx * dx + dy * dy + dz * dz;
+      if (d === 0 || d >= nearest[k - 1]) continue;
+      // Insertion into the short sorted list of nearest distances
+      let slot = k - 1;
+      while (slot > 0 && nearest[slot - 1] > d) {
+        nearest[slot] = nearest[slot - 1];
+        slot--;
+      }
+      nearest[slot] = d;
+    }
+    if (nearest[k - 1] < Infinity) distances.push(Math.sqrt(nearest[k - 1]));
+  }
+  distances.sort((a, b) => a - b);
+  return distances.length > 0 ? distances[distances.length >> 1] : 0;
+}
+
+// Uniform grid over the points (counting sort by cell) for fixed-radius neighbour queries
+function buildPointGrid(positions, count, cellSize) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count * 3; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i + k]);
+      max[k] = Math.max(max[k], positions[i + k]);
+    }
+  }
+  // Coarser cells are still correct for the 27-cell query, and keep flat or huge shapes in memory
+  let size = cellSize;
+  let dims = min.map((v, k) => Math.floor((max[k] - v) / size) + 1);
+  while (dims[0] * dims[1] * dims[2] > count * 8 + 1024) {
+    size *= 2;
+    dims = min.map((v, k) => Math.floor((max[k] - v) / size) + 1);
+  }
+
+  const cellOf = new Int32Array(count);
+  const start = new Int32Array(dims[0] * dims[1] * dims[2] + 1);
+  for (let i = 0; i < count; i++) {
+    const c = [0, 1, 2].map(k => Math.floor((positions[i * 3 + k] - min[k]) / size));
+    cellOf[i] = (c[2] * dims[1] + c[1]) * dims[0] + c[0];
+    start[cellOf[i] + 1]++;
+  }
+  for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+  const items = new Int32Array(count);
+  const fill = start.slice(0, -1);
+  for (let i = 0; i < count; i++) items[fill[cellOf[i]]++] = i;
+
+  // Calls visit(j) for every point in the cells around point i
+  const forNeighbours = (i, visit) => {
+    const c = [0, 1, 2].map(k => Math.floor((positions[i * 3 + k] - min[k]) / size));
+    for (let z = Math.max(0, c[2] - 1); z <= Math.min(dims[2] - 1, c[2] + 1); z++) {
+      for (let y = Math.max(0, c[1] - 1); y <= Math.min(dims[1] - 1, c[1] + 1); y++) {
+        for (let x = Math.max(0, c[0] - 1); x <= Math.min(dims[0] - 1, c[0] + 1); x++) {
+          const cell = (z * dims[1] + y) * dims[0] + x;
+          for (let n = start[cell]; n < start[cell + 1]; n++) visit(items[n]);
+        }
+      }
+    }
+  };
+  return { forNeighbours };
+}
+
+// Weighted sample elimination (Yuksel 2015): repeatedly drops the candidate most crowded by its
+// neighbours until keep remain. Returns the kept indices in their original order, so samplers
+// that lay points out in mesh order still do.
+function eliminateSamples(positions, count, keep, random) {
+  const kept = new Uint32Array(keep);
+  // The k-th neighbour distance, with k the candidates per kept point, approximates the final spacing
+  const rmax = medianNeighbourDistance(positions, count, Math.max(1, Math.round(count / keep)), random);
+  if (!(rmax > 0)) {
+    for (let i = 0; i < keep; i++) kept[i] = Math.floor((i / keep) * count);
+    return kept;
+  }
+
+  const radius = 2 * rmax;
+  const rmin = rmax * (1 - Math.pow(keep / count, 1.5)) * 0.65;
+  const grid = buildPointGrid(positions, count, radius);
+
+  // Neighbour lists with their pairwise weights, stored flat
+  const weights = new Float64Array(count);
+  const listStart = new Uint32Array(count + 1);
+  const listIndex = [];
+  const listWeight = [];
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    grid.forNeighbours(i, (j) => {
+      if (j === i) return;
+      const j3 = j * 3;
+      const d = Math.hypot(positions[j3] - positions[i3], positions[j3 + 1] - positions[i3 + 1], positions[j3 + 2] - positions[i3 + 2]);
+      if (d >= radius) return;
+      const w = Math.pow(1 - Math.max(d, rmin) / radius, 8);
+      weights[i] += w;
+      listIndex.push(j);
+      listWeight.push(w);
+    });
+    listStart[i + 1] = listIndex.length;
+  }
+
+  // Max-heap on weight, with each candidate's heap slot tracked for in-place updates
+  const heap = new Int32Array(count);
+  const slot = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    heap[i] = i;
+    slot[i] = i;
+  }
+  const swap = (a, b) => {
+    const t = heap[a];
+    heap[a] = heap[b];
+    heap[b] = t;
+    slot[heap[a]] = a;
+    slot[heap[b]] = b;
+  };
+  let size = count;
+  const siftDown = (a) => {
+    for (;;) {
+      const l = a * 2 + 1, r = l + 1;
+      let top = a;
+      if (l < size && weights[heap[l]] > weights[heap[top]]) top = l;
+      if (r < size && weights[heap[r]] > weights[heap[top]]) top = r;
+      if (top === a) return;
+      swap(a, top);
+      a = top;
+    }
+  };
+  for (let a = (size >> 1) - 1; a >= 0; a--) siftDown(a);
+
+  const removed = new Uint8Array(count);
+  while (size > keep) {
+    const i = heap[0];
+    removed[i] = 1;
+    swap(0, --size);
+    siftDown(0);
+    // Weights only ever drop, so neighbours can only need to move down
+    for (let n = listStart[i]; n < listStart[i + 1]; n++) {
+      const j = listIndex[n];
+      if (removed[j]) continue;
+      weights[j] -= listWeight[n];
+      siftDown(slot[j]);
+    }
+  }
+
+  let k = 0;
+  for (let i = 0; i < count; i++) {
+    if (!removed[i]) kept[k++] = i;
+  }
+  return kept;
+}
+
+// New sample set holding source samples at the given indices
+function selectSamples(source, indices) {
+  const samples = createSamples(indices.length);
+  indices.forEach((index, i) => {
+    samples.mesh[i] = source.mesh[index];
+    for (let k = 0; k < 3; k++) {
+      samples.positions[i * 3 + k] = source.positions[index * 3 + k];
+      samples.vertices[i * 3 + k] = source.vertices[index * 3 + k];
+      samples.weights[i * 3 + k] = source.weights[index * 3 + k];
+    }
+  });
+  return samples;
+}
+
+// Moves every repeat of an already used position a small random distance, relative to the
+// typical spacing of the distinct points
+function jitterDuplicates(samples, random) {
+  const pts = samples.positions;
+  const seen = new Set();
+  const duplicates = [];
+  for (let i = 0; i < samples.count; i++) {
+    const key = `${pts[i * 3]},${pts[i * 3 + 1]},${pts[i * 3 + 2]}`;
+    if (seen.has(key)) duplicates.push(i);
+    else seen.add(key);
+  }
+  if (duplicates.length === 0) return samples;
+
+  const amount = medianNeighbourDistance(pts, samples.count, 1, random) * 0.35;
+  for (const i of duplicates) {
+    // Uniform direction, radius spread inside the ball
+    const z = random() * 2 - 1;
+    const phi = random() * Math.PI * 2;
+    const ring = Math.sqrt(1 - z * z);
+    const r = amount * Math.cbrt(random());
+    pts[i * 3] += ring * Math.cos(phi) * r;
+    pts[i * 3 + 1] += z * r;
+    pts[i * 3 + 2] += ring * Math.sin(phi) * r;
+  }
+  return samples;
+}
+
+// Over-samples with the mode's sampler, then thins to exactly totalPoints. Edge outlines are
+// already evenly spaced and sparse meshes have no vertices to spare, so those only get their
+// stacked repeats spread out.
+function sampleBlueNoise(meshes, totalPoints, options, scale) {
+  const sampler = samplingModes[options.mode] || samplingModes.vertex;
+  const random = createRandom((options.seed || 1) + 0x9E3779B9);
+  let candidateCount = totalPoints * BLUE_NOISE_OVERSAMPLING;
+  if (sampler === samplingModes.vertex) {
+    candidateCount = Math.min(candidateCount, meshes.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0));
+  }
+  if (options.mode === 'edges' || candidateCount <= totalPoints) {
+    return jitterDuplicates(sampler(meshes, totalPoints, options, scale), random);
+  }
+
+  const candidates = sampler(meshes, candidateCount, options, scale);
+  const kept = eliminateSamples(candidates.positions, candidates.count, totalPoints, random);
+  return jitterDuplicates(selectSamples(candidates, kept), random);
+}
+
+// Splits total in proportion to measures, handing leftovers to the largest remainders
+function apportion(measures, total) {
+  const sum = measures.reduce((a, b) => a + b, 0);
+  const exact = measures.map(measure => (sum > 0 ? (measure / sum) * total : total / measures.length));
+  const counts = exact.map(Math.floor);
+  const order = exact.map((value, i) => i).sort((a, b) => (exact[b] - counts[b]) - (exact[a] - counts[a]));
+  let left = total - counts.reduce((a, b) => a + b, 0);
+  for (let i = 0; left > 0; i = (i + 1) % order.length, left--) counts[order[i]]++;
+  return counts;
+}
+
+function meshArea(mesh) {
+  const p = mesh.positions;
+  const idx = mesh.indices;
+  let area = 0;
+  for (let t = 0; t < idx.length; t += 3) {
+    const a = idx[t] * 3, b = idx[t + 1] * 3, c = idx[t + 2] * 3;
+    const abx = p[b] - p[a], aby = p[b + 1] - p[a + 1], abz = p[b + 2] - p[a + 2];
+    const acx = p[c] - p[a], acy = p[c + 1] - p[a + 1], acz = p[c + 2] - p[a + 2];
+    area += Math.hypot(aby * acz - abz * acy, abz * acx - abx * acz, abx * acy - aby * acx) * 0.5;
+  }
+  return area;
+}
+
+function meshEdgeLength(mesh, angle) {
+  return findFeatureEdges([mesh], angle).reduce((sum, edge) => sum + edge.length, 0);
+}
+
+// A mesh's natural share of the points under a sampler: vertex count when picking vertices,
+// feature-edge length for outlines (their density is per unit of length), surface area otherwise
+function meshMeasure(sampler, options) {
+  if (sampler === samplingModes.vertex) return mesh => mesh.positions.length / 3;
+  if (sampler === samplingModes.edges) {
+    const angle = options.edgeAngle !== undefined ? options.edgeAngle : defaultSampling.edgeAngle;
+    return mesh => meshEdgeLength(mesh, angle);
+  }
+  return meshArea;
+}
+
+// Gives each mesh weight x its natural share of the points (see meshMeasure) and samples it on
+// its own
+function sampleByWeight(meshes, totalPoints, weights, measure, draw) {
+  const measures = meshes.map((mesh, m) => measure(mesh) * weights[m]);
+  const counts = apportion(measures, totalPoints);
+  const samples = createSamples(totalPoints);
+  let offset = 0;
+  meshes.forEach((mesh, m) => {
+    if (counts[m] === 0) return;
+    const part = draw([mesh], counts[m]);
+    for (let i = 0; i < part.count; i++) {
+      if (part.mesh[i] >= 0) part.mesh[i] = m;
+    }
+    copySamples(samples, part, offset);
+    offset += counts[m];
+  });
+  return samples;
+}
+
+// Samples meshes with the requested mode, then moves them into the scene with placement
+// options (see placement.js). options.distribution 'blue-noise' spreads the points evenly;
+// anything else keeps the raw sampler output. meshWeights (see applyNodeSettings) makes
+// some meshes denser than others.
+function samplePoints(meshes, totalPoints, scale, options = {}, placementOptions = {}, meshWeights = null) {
+  // Computed first: edge density is per scene unit, so the sampler needs the final scale
+  const placement = computePlacement(meshes, computeBounds(meshes), scale, placementOptions);
+  const sampler = samplingModes[options.mode] || samplingModes.vertex;
+  const draw = (set, count) => (options.distribution === 'blue-noise'
+    ? sampleBlueNoise(set, count, options, placement.scale)
+    : sampler(set, count, options, placement.scale));
+  const weighted = meshWeights && meshWeights.some(weight => weight !== meshWeights[0]);
+  const samples = weighted
+    ? sampleByWeight(meshes, totalPoints, meshWeights, meshMeasure(sampler, options), draw)
+    : draw(meshes, totalPoints);
+  applyPlacement(placement, samples.positions);
+
+  // Kept so samples can be re-evaluated later in the same frame of reference
+  samples.placement = placement;
+  return samples;
+}
+
+// =================================================================================================
+// Point Clouds
+// =================================================================================================
+
+// Resamples a raw cloud ({ positions, colors }) to exactly totalPoints while keeping its density:
+// a uniform random subset when shrinking, in-between points among near neighbours when growing
+function sampleCloud(cloud, totalPoints, random) {
+  const source = cloud.positions;
+  const sourceColors = cloud.colors;
+  const sourceCount = source.length / 3;
+  const positions = new Float32Array(totalPoints * 3);
+  const colors = sourceColors ? new Float32Array(totalPoints * 3) : null;
+  if (sourceCount === 0) return { positions, colors };
+
+  const blend = (i, a, b, t) => {
+    for (let k = 0; k < 3; k++) {
+      positions[i * 3 + k] = source[a * 3 + k] + (source[b * 3 + k] - source[a * 3 + k]) * t;
+      if (colors) colors[i * 3 + k] = sourceColors[a * 3 + k] + (sourceColors[b * 3 + k] - sourceColors[a * 3 + k]) * t;
+    }
+  };
+
+  if (sourceCount >= totalPoints) {
+    // Partial Fisher-Yates shuffle - every source point is equally likely to survive
+    const order = new Uint32Array(sourceCount);
+    for (let i = 0; i < sourceCount; i++) order[i] = i;
+    for (let i = 0; i < totalPoints; i++) {
+      const j = i + Math.floor(random() * (sourceCount - i));
+      const picked = order[j];
+      order[j] = order[i];
+      order[i] = picked;
+      blend(i, picked, picked, 0);
+    }
+    return { positions, colors };
+  }
+
+  // Hash grid sized for a handful of points per cell, assuming a surface-like scan
+  const { min, max } = computeBounds([cloud]);
+  const diagonal = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  const cellSize = (diagonal / Math.sqrt(sourceCount)) * 2;
+  const cellKey = (p) =>
+    `${Math.floor((source[p * 3] - min[0]) / cellSize)},${Math.floor((source[p * 3 + 1] - min[1]) / cellSize)},${Math.floor((source[p * 3 + 2] - min[2]) / cellSize)}`;
+  const cells = new Map();
+  const cellOfPoint = new Array(sourceCount);
+  for (let p = 0; p < sourceCount; p++) {
+    const key = cellKey(p);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+    cellOfPoint[p] = cells.get(key);
+  }
+
+  for (let i = 0; i < sourceCount; i++) blend(i, i, i, 0);
+  for (let i = sourceCount; i < totalPoints; i++) {
+    const a = Math.floor(random() * sourceCount);
+    const cell = cellOfPoint[a];
+    const b = cell[Math.floor(random() * cell.length)];
+    if (b !== a) {
+      blend(i, a, b, random() * 0.5);
+      continue;
+    }
+    // Isolated point - a small jitter instead of a perfect duplicate
+    blend(i, a, a, 0);
+    for (let k = 0; k < 3; k++) positions[i * 3 + k] += (random() - 0.5) * cellSize * 0.1;
+  }
+  return { positions, colors };
+}
+
+// Point-cloud counterpart of samplePoints: resample, then place
+function samplePointCloud(cloud, totalPoints, scale, options = {}, placementOptions = {}) {
+  const result = sampleCloud(cloud, totalPoints, createRandom(options.seed));
+  applyPlacement(computePlacement([cloud], computeBounds([cloud]), scale, placementOptions), result.positions);
+  return result;
+}
+
+// =================================================================================================
+// Images
+// =================================================================================================
+
+// How much each pixel attracts particles, from sRGB bytes; luminance is 0-1
+const imageWeights = {
+  alpha: (luminance, alpha) => alpha,
+  luminance: (luminance, alpha) => luminance * alpha,
+  inverted: (luminance, alpha) => (1 - luminance) * alpha
+};
+
+// Lays particles out over an RGBA image ({ data, width, height }): density follows
+// options.imageWeight ('auto' picks alpha for images with transparency, luminance otherwise),
+// options.imageDepth pushes bright pixels forward by that fraction of the longest side, colors come
+// from pixels. Natively the longest side spans scale units and the bounding box is the image frame;
+// normals follow the luminance relief.
+function sampleImage(image, totalPoints, scale, options = {}, placementOptions = {}) {
+  const { data, width, height } = image;
+  const pixelCount = width * height;
+  const positions = new Float32Array(totalPoints * 3);
+  const colors = new Float32Array(totalPoints * 3);
+  const normals = new Float32Array(totalPoints * 3);
+
+  const luminance = new Float32Array(pixelCount);
+  let translucent = false;
+  for (let i = 0; i < pixelCount; i++) {
+    const p = i * 4;
+    luminance[i] = (0.2126 * data[p] + 0.7152 * data[p + 1] + 0.0722 * data[p + 2]) / 255;
+    if (data[p + 3] < 255) translucent = true;
+  }
+
+  const mode = options.imageWeight in imageWeights ? options.imageWeight : (translucent ? 'alpha' : 'luminance');
+  const weight = imageWeights[mode];
+  const cumulative = new Float64Array(pixelCount);
+  let total = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    total += weight(luminance[i], data[i * 4 + 3] / 255);
+    cumulative[i] = total;
+  }
+  if (total === 0) return { positions, colors: null, normals: null };
+
+  const random = createRandom(options.seed);
+  // Laid out with the longest side spanning 1, then placed
+  const unit = 1 / Math.max(width, height);
+  const depth = options.imageDepth || 0;
+  const lum = (x, y) => luminance[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+  for (let i = 0; i < totalPoints; i++) {
+    // Binary search the cumulative weights for a pixel, then jitter within it
+    const r = random() * total;
+    let lo = 0, hi = pixelCount - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < r) lo = mid + 1;
+      else hi = mid;
+    }
+    const px = lo % width, py = (lo - px) / width;
+    const i3 = i * 3;
+
+    positions[i3] = (px + random() - width * 0.5) * unit;
+    positions[i3 + 1] = (height * 0.5 - py - random()) * unit;
+    positions[i3 + 2] = (luminance[lo] - 0.5) * depth;
+
+    for (let k = 0; k < 3; k++) colors[i3 + k] = srgbToLinear(data[lo * 4 + k] / 255);
+
+    // Central differences of the relief; image rows run down, scene y runs up
+    const dx = (lum(px + 1, py) - lum(px - 1, py)) * 0.5 * depth / unit;
+    const dy = (lum(px, py - 1) - lum(px, py + 1)) * 0.5 * depth / unit;
+    const length = Math.hypot(dx, dy, 1);
+    normals[i3] = -dx / length;
+    normals[i3 + 1] = -dy / length;
+    normals[i3 + 2] = 1 / length;
+  }
+
+  const half = [width * unit * 0.5, height * unit * 0.5, depth * 0.5];
+  const frame = { min: half.map(v => -v), max: half };
+  applyPlacement(computePlacement([{ positions }], frame, scale, placementOptions), positions, normals);
+  return { positions, colors, normals };
+}
+
+// =================================================================================================
+// Sample Attributes
+// =================================================================================================
+
+function sampleTexture(texture, u, v, out) {
+  const { width, height, data } = texture;
+  // Repeat wrapping; glTF textures are not flipped, so v = 0 is the top row
+  const fu = u - Math.floor(u);
+  const fv = v - Math.floor(v);
+  const x = Math.min(width - 1, Math.floor(fu * width));
+  const y = Math.min(height - 1, Math.floor((texture.flipY ? 1 - fv : fv) * height));
+  const src = (y * width + x) * 4;
+  out[0] = srgbToLinear(data[src] / 255);
+  out[1] = srgbToLinear(data[src + 1] / 255);
+  out[2] = srgbToLinear(data[src + 2] / 255);
+  return out;
+}
+
+// Linear RGB per sample: material base color x baseColor texture x vertex color
+function sampleColors(meshes, samples) {
+  const colors = new Float32Array(samples.count * 3);
+  const texel = [1, 1, 1];
+
+  for (let i = 0; i < samples.count; i++) {
+    const i3 = i * 3;
+    const mesh = meshes[samples.mesh[i]];
+    if (!mesh) {
+      colors[i3] = colors[i3 + 1] = colors[i3 + 2] = 1;
+      continue;
+    }
+
+    const a = samples.vertices[i3], b = samples.vertices[i3 + 1], c = samples.vertices[i3 + 2];
+    const u = samples.weights[i3], v = samples.weights[i3 + 1], w = samples.weights[i3 + 2];
+
+    texel[0] = texel[1] = texel[2] = 1;
+    if (mesh.texture && mesh.uvs) {
+      const uv = mesh.uvs;
+      sampleTexture(
+        mesh.texture,
+        uv[a * 2] * u + uv[b * 2] * v + uv[c * 2] * w,
+        uv[a * 2 + 1] * u + uv[b * 2 + 1] * v + uv[c * 2 + 1] * w,
+        texel
+      );
+    }
+
+    for (let k = 0; k < 3; k++) {
+      const vertexColor = mesh.colors
+        ? mesh.colors[a * 3 + k] * u + mesh.colors[b * 3 + k] * v + mesh.colors[c * 3 + k] * w
+        : 1;
+      colors[i3 + k] = mesh.baseColor[k] * texel[k] * vertexColor;
+    }
+  }
+  return colors;
+}
+
+// Interpolated world-space unit normal per sample, turned like the samples were placed
+function sampleNormals(meshes, samples) {
+  const normals = new Float32Array(samples.count * 3);
+  for (let i = 0; i < samples.count; i++) {
+    const mesh = meshes[samples.mesh[i]];
+    if (!mesh) continue;
+    const i3 = i * 3;
+    const a = samples.vertices[i3] * 3, b = samples.vertices[i3 + 1] * 3, c = samples.vertices[i3 + 2] * 3;
+    const u = samples.weights[i3], v = samples.weights[i3 + 1], w = samples.weights[i3 + 2];
+    const n = mesh.normals;
+    for (let k = 0; k < 3; k++) normals[i3 + k] = n[a + k] * u + n[b + k] * v + n[c + k] * w;
+  }
+  if (samples.placement) rotateVectors(samples.placement, normals);
+  return normalizeVectors(normals);
+}
+
+export {
+  createRandom, srgbToLinear, extractMeshes, describeNodes, applyNodeSettings, computeBounds,
+  createSamples, bindSample, copySamples,
+  sampleVertices, sampleSurface, sampleVolume, sampleShellAndVolume, sampleEdges,
+  samplingModes, defaultSampling, samplePoints, sampleColors, sampleNormals,
+  selectSamples, eliminateSamples, jitterDuplicates,
+  sampleCloud, samplePointCloud, sampleImage
+};
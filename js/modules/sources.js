@@ -0,0 +1,77 @@
+import { FileLoader, Group, Mesh, MeshStandardMaterial } from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { loadGLTF } from './loaders.js';
+import { cloudLoaders, geometryToCloud } from './pointclouds.js';
+import { imageLoaders } from './images.js';
+
+// =================================================================================================
+// Target Sources
+// =================================================================================================
+// Every mesh source resolves to the same shape as a parsed glTF - { scene, animations } - so the
+// samplers never need to know which file format a target came from. Point cloud sources
+// resolve to { cloud } instead (see pointclouds.js) and image sources to { image } (see images.js).
+
+// Loaders that return a bare BufferGeometry get a plain mesh, colored by vertex colors if present
+function geometryToModel(geometry) {
+  const material = new MeshStandardMaterial({ vertexColors: !!geometry.attributes.color });
+  const scene = new Group();
+  scene.add(new Mesh(geometry, material));
+  return { scene, animations: [] };
+}
+
+const modelLoaders = {
+  glb: loadGLTF,
+  gltf: loadGLTF,
+  obj: async (url, renderer, onProgress) => {
+    const scene = await new OBJLoader().loadAsync(url, onProgress);
+    return { scene, animations: [] };
+  },
+  stl: async (url, renderer, onProgress) => geometryToModel(await new STLLoader().loadAsync(url, onProgress)),
+  // PLY holds either a mesh or, without a face list, a scanned point cloud
+  ply: async (url, renderer, onProgress) => {
+    const geometry = await new PLYLoader().loadAsync(url, onProgress);
+    return geometry.index ? geometryToModel(geometry) : { cloud: geometryToCloud(geometry) };
+  },
+  fbx: async (url, renderer, onProgress) => {
+    const scene = await new FBXLoader().loadAsync(url, onProgress);
+    return { scene, animations: scene.animations };
+  },
+  ...cloudLoaders,
+  ...imageLoaders
+};
+
+// Lets other modules add formats: load(url, renderer, onProgress) => { scene, animations }, { cloud } or { image }
+function registerModelLoader(extension, load) {
+  modelLoaders[extension.toLowerCase()] = load;
+}
+
+function getModelExtensions() {
+  return Object.keys(modelLoaders);
+}
+
+function extensionOf(url) {
+  const path = url.split(/[?#]/)[0];
+  const dot = path.lastIndexOf('.');
+  return dot >= 0 ? path.slice(dot + 1).toLowerCase() : '';
+}
+
+// The file's raw bytes, with the same progress events the loaders report
+function loadFileBytes(url, onProgress) {
+  const loader = new FileLoader();
+  loader.setResponseType('arraybuffer');
+  return loader.loadAsync(url, onProgress);
+}
+
+// Picks a loader by file extension; format overrides it for URLs without one (e.g. blob URLs)
+async function loadModel(url, renderer, onProgress, format = extensionOf(url)) {
+  const load = modelLoaders[format];
+  if (!load) {
+    throw new Error(`${url}: no loader for ".${format}" files (supported: ${getModelExtensions().join(', ')})`);
+  }
+  return load(url, renderer, onProgress);
+}
+
+export { registerModelLoader, getModelExtensions, extensionOf, loadFileBytes, loadModel };
@@ -0,0 +1,165 @@
+// =================================================================================================
+// Persistent Target Cache
+// =================================================================================================
+// Sampled targets ({ positions, colors, normals } and the node fields) are kept in IndexedDB so a reload does not
+// re-parse and re-sample every model. Keys combine a hash of the file's bytes with the sampling
+// parameters, so an edited file or a different particle count never hits a stale entry.
+// Entries record CACHE_VERSION - bump it whenever sampling output changes and old entries are
+// ignored and dropped. Least recently used entries are evicted once the cache grows past
+// CACHE_BUDGET bytes. Every call degrades to a miss when IndexedDB is unavailable.
+
+const CACHE_VERSION = 3;
+const CACHE_BUDGET = 256 * 1024 * 1024;
+
+const DB_NAME = 'particle-targets';
+// Small records (version, size, last use) are kept apart from the arrays so a hit only rewrites metadata
+const META_STORE = 'meta';
+const DATA_STORE = 'data';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        db.createObjectStore(DATA_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Target cache disabled:', error.message);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// SHA-256 of a file's bytes, as hex
+async function hashBytes(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function targetCacheKey(hash, totalPoints, scale, sampling, placement, nodes = {}) {
+  return `${hash}_${totalPoints}_${scale}_${JSON.stringify(sampling)}_${JSON.stringify(placement)}_${JSON.stringify(nodes)}`;
+}
+
+function targetBytes(target) {
+  return ['positions', 'colors', 'normals', 'particleNodes'].reduce((sum, key) => sum + (target[key] ? target[key].byteLength : 0), 0);
+}
+
+// Resolves to { positions, colors, normals, rig: null } plus any node fields, or null on a miss
+async function getCachedTarget(key) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  try {
+    const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    const meta = await requestToPromise(transaction.objectStore(META_STORE).get(key));
+    if (!meta) return null;
+    if (meta.version !== CACHE_VERSION) {
+      transaction.objectStore(META_STORE).delete(key);
+      transaction.objectStore(DATA_STORE).delete(key);
+      return null;
+    }
+    const data = await requestToPromise(transaction.objectStore(DATA_STORE).get(key));
+    if (!data) return null;
+    transaction.objectStore(META_STORE).put({ ...meta, lastUsed: Date.now() });
+    await transactionDone(transaction);
+    const { positions, colors, normals, nodeTree, sourceNodes, particleNodes } = data;
+    return { positions, colors, normals, rig: null, nodeTree, sourceNodes, particleNodes };
+  } catch (error) {
+    console.warn('Target cache read failed:', error.message);
+    return null;
+  }
+}
+
+// Stores a target's arrays (never its rig), then evicts the oldest entries over budget
+async function putCachedTarget(key, target) {
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).put({ key, version: CACHE_VERSION, bytes: targetBytes(target), lastUsed: Date.now() });
+    const { positions, colors, normals, nodeTree, sourceNodes, particleNodes } = target;
+    transaction.objectStore(DATA_STORE).put({ key, positions, colors, normals, nodeTree, sourceNodes, particleNodes });
+    await transactionDone(transaction);
+    await evictTargets(db);
+  } catch (error) {
+    console.warn('Target cache write failed:', error.message);
+  }
+}
+
+// Walks entries newest first and drops everything past the budget, plus any outdated version
+async function evictTargets(db) {
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  const metaStore = transaction.objectStore(META_STORE);
+  const dataStore = transaction.objectStore(DATA_STORE);
+  let total = 0;
+  await new Promise((resolve, reject) => {
+    const request = metaStore.index('lastUsed').openCursor(null, 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const meta = cursor.value;
+      const keep = meta.version === CACHE_VERSION && total + meta.bytes <= CACHE_BUDGET;
+      if (keep) {
+        total += meta.bytes;
+      } else {
+        cursor.delete();
+        dataStore.delete(meta.key);
+      }
+      cursor.continue();
+    };
+  });
+  await transactionDone(transaction);
+}
+
+async function clearTargetCache() {
+  const db = await openDatabase();
+  if (!db) return;
+  const transaction = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).clear();
+  transaction.objectStore(DATA_STORE).clear();
+  await transactionDone(transaction);
+}
+
+// { entries, bytes } currently stored
+async function getTargetCacheUsage() {
+  const db = await openDatabase();
+  if (!db) return { entries: 0, bytes: 0 };
+  const metas = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return { entries: metas.length, bytes: metas.reduce((sum, meta) => sum + meta.bytes, 0) };
+}
+
+export {
+  CACHE_VERSION, hashBytes, targetCacheKey,
+  getCachedTarget, putCachedTarget, clearTargetCache, getTargetCacheUsage
+};
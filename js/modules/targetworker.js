@@ -0,0 +1,74 @@
+// =================================================================================================
+// Sampling Worker
+// =================================================================================================
+// Page side of js/workers/targets.worker.js. One worker serves every request; results come back
+// as transferred Float32Arrays. Anything the worker cannot handle resolves to null and the caller
+// loads it on the main thread instead - animated models, KTX2 textures, or a worker that failed
+// to start (e.g. the CDN is unreachable).
+
+// Formats the worker parses
+const workerFormats = ['glb', 'gltf'];
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (workerFailed || typeof Worker === 'undefined') return null;
+  if (worker) return worker;
+
+  worker = new Worker(new URL('../workers/targets.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.fallback === 'error') {
+      console.warn(`Sampling ${request.url} in a worker failed, retrying on the page:`, data.message);
+    }
+    if (data.fallback) {
+      request.resolve(null);
+      return;
+    }
+    const { positions, colors, normals, nodeTree, sourceNodes, particleNodes } = data;
+    request.resolve({ positions, colors, normals, rig: null, nodeTree, sourceNodes, particleNodes });
+  };
+  // Only fires when the worker itself breaks - from then on everything is sampled on the page
+  worker.onerror = (event) => {
+    console.warn('Sampling worker unavailable:', event.message || 'failed to start');
+    event.preventDefault();
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    pending.forEach(request => request.resolve(null));
+    pending.clear();
+  };
+  return worker;
+}
+
+// Resolves to { positions, colors, normals, rig: null } plus the node fields, or null (sample on the page instead).
+// buffer, the file's bytes if already read, is transferred - it is unusable here afterwards.
+// Aborting signal - because a newer request replaced this one - cancels the work in the worker
+// and rejects with the signal's AbortError.
+function sampleInWorker({ url, buffer, totalPoints, scale, sampling, placement, nodes }, signal = undefined) {
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  const target = getWorker();
+  if (!target) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { url, resolve });
+    target.postMessage({ id, url, buffer, totalPoints, scale, sampling, placement, nodes }, buffer ? [buffer] : []);
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!pending.has(id)) return;
+        pending.delete(id);
+        if (worker) worker.postMessage({ cancel: id });
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+export { workerFormats, sampleInWorker };
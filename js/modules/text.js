@@ -0,0 +1,59 @@
+import { Group, Mesh, MeshStandardMaterial } from 'three';
+import { FontLoader, Font } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { extensionOf } from './sources.js';
+
+// =================================================================================================
+// Text Targets
+// =================================================================================================
+// Text becomes extruded glyph geometry and is then sampled like any other model, so surface,
+// volume and edge sampling all work on it. size and depth are in scene units.
+
+// Ships with the repo like the decoders in js/libs, so text works offline
+const DEFAULT_FONT_URL = new URL('../../fonts/helvetiker_regular.typeface.json', import.meta.url).href;
+
+const fontExtensions = ['json', 'ttf', 'otf'];
+const fontCache = new Map();
+
+async function parseFont(url, format) {
+  if (format === 'json') {
+    return new FontLoader().loadAsync(url);
+  }
+  if (format === 'ttf' || format === 'otf') {
+    // opentype.js is large, so TTFLoader is only fetched the first time a TTF is used
+    const { TTFLoader } = await import('three/addons/loaders/TTFLoader.js');
+    return new Font(await new TTFLoader().loadAsync(url));
+  }
+  throw new Error(`${url}: fonts must be typeface JSON, TTF or OTF (got ".${format}")`);
+}
+
+// format overrides the extension for blob URLs; failed loads are not cached so they can be retried
+function loadFont(url = DEFAULT_FONT_URL, format = extensionOf(url)) {
+  if (!fontCache.has(url)) {
+    fontCache.set(url, parseFont(url, format).catch(error => {
+      fontCache.delete(url);
+      throw error;
+    }));
+  }
+  return fontCache.get(url);
+}
+
+// Resolves to the same { scene, animations } shape as the file sources
+async function createTextModel({ string, font, fontFormat, size = 3, depth = 0.5, curveSegments = 8 }) {
+  if (!string || !string.trim()) {
+    throw new Error('Text targets need at least one visible character');
+  }
+
+  const typeface = await loadFont(font, fontFormat);
+  // TextGeometry in r162 still calls the extrusion depth "height"
+  const geometry = new TextGeometry(string, { font: typeface, size, height: depth, curveSegments });
+  if (geometry.attributes.position.count === 0) {
+    throw new Error(`The font has no glyphs for "${string}"`);
+  }
+
+  const scene = new Group();
+  scene.add(new Mesh(geometry, new MeshStandardMaterial()));
+  return { scene, animations: [] };
+}
+
+export { fontExtensions, loadFont, createTextModel };
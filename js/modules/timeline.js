@@ -0,0 +1,178 @@
+import { easeNames, defaultEase } from './easing.js';
+import { parseTransition } from './transitions.js';
+
+// =================================================================================================
+// Morph Timeline
+// =================================================================================================
+// A sequence is a list of shape keyframes played in order - a choreographed show that runs on its
+// own. Saved and loaded as JSON, and also accepted as "timeline" in shapes.json:
+// {
+//   "mode": "loop",                        "loop", "pingpong" (there and back) or "once"
+//   "autoplay": true,                      start as soon as the shapes are loaded
+//   "keyframes": [
+//     { "shape": "Logo", "duration": 4, "ease": "power2.inOut", "hold": 3 },
+//     { "shape": 2, "duration": 2.5, "ease": "expo.out", "hold": 0, "transition": "vortex" }
+//   ]
+// }
+// shape is a library shape name or index. duration, ease and the optional transition (see
+// transitions.js) describe the morph into the keyframe, hold how long it stays before the next one
+// starts (seconds).
+// Kept free of the DOM: the page gives the timeline a callback that performs each morph.
+
+const timelineModes = ['loop', 'pingpong', 'once'];
+const defaultKeyframe = { duration: 4, ease: defaultEase, hold: 2 };
+
+function parseSeconds(value, where) {
+  if (!(typeof value === 'number' && value >= 0)) throw new Error(`${where}: expected seconds >= 0`);
+  return value;
+}
+
+function parseKeyframe(keyframe, where) {
+  if (!keyframe || typeof keyframe !== 'object') throw new Error(`${where}: expected { "shape", "duration", "ease", "hold" }`);
+  const { shape } = keyframe;
+  if (!(typeof shape === 'string' && shape) && !Number.isInteger(shape)) {
+    throw new Error(`${where}.shape: expected a shape name or index`);
+  }
+  const parsed = { ...defaultKeyframe, shape };
+  if (keyframe.duration !== undefined) parsed.duration = parseSeconds(keyframe.duration, `${where}.duration`);
+  if (keyframe.hold !== undefined) parsed.hold = parseSeconds(keyframe.hold, `${where}.hold`);
+  if (keyframe.ease !== undefined) {
+    if (!easeNames.includes(keyframe.ease)) throw new Error(`${where}.ease: unknown ease ${JSON.stringify(keyframe.ease)}`);
+    parsed.ease = keyframe.ease;
+  }
+  if (keyframe.transition !== undefined) parsed.transition = parseTransition(keyframe.transition, `${where}.transition`);
+  return parsed;
+}
+
+// Validates a sequence read from JSON, filling in defaults
+function parseSequence(data, where = 'timeline') {
+  if (!data || !Array.isArray(data.keyframes)) throw new Error(`${where}: expected { "keyframes": [...] }`);
+  const mode = data.mode === undefined ? 'loop' : data.mode;
+  if (!timelineModes.includes(mode)) {
+    throw new Error(`${where}.mode: unknown mode ${JSON.stringify(mode)} (use ${timelineModes.join(', ')})`);
+  }
+  return {
+    mode,
+    autoplay: data.autoplay === true,
+    keyframes: data.keyframes.map((keyframe, i) => parseKeyframe(keyframe, `${where}.keyframes[${i}]`))
+  };
+}
+
+// One cycle as steps { keyframe, duration, ease, transition, hold, start }. Ping-pong runs back
+// down the keyframes after the last one, each backward morph reusing the segment it retraces.
+function sequenceSteps({ mode, keyframes }) {
+  const segment = ({ duration, ease, transition }) => ({ duration, ease, transition });
+  const steps = keyframes.map(keyframe => ({ keyframe, ...segment(keyframe), hold: keyframe.hold }));
+  if (mode === 'pingpong') {
+    for (let k = keyframes.length - 2; k > 0; k--) {
+      steps.push({ keyframe: keyframes[k], ...segment(keyframes[k + 1]), hold: keyframes[k].hold });
+    }
+    // Back at the start, the morph into the first keyframe retraces the segment into the second
+    if (keyframes.length > 1) {
+      steps[0] = { ...steps[0], ...segment(keyframes[1]) };
+    }
+  }
+  let start = 0;
+  steps.forEach(step => {
+    step.start = start;
+    start += step.duration + step.hold;
+  });
+  return steps;
+}
+
+// Playhead over a sequence. onStep(keyframe, duration, ease, transition) should morph to the
+// keyframe's shape in duration seconds (transition is undefined where the keyframe has none); it
+// is called as each step starts, and after a seek with whatever is left of that step's morph.
+// onChange() reports play, pause, seek and the end of a 'once' run.
+// Pausing stops the playhead - a morph already under way still finishes.
+function createTimeline(sequence, { onStep = () => {}, onChange = () => {} } = {}) {
+  let steps = [];
+  let length = 0;
+  let time = 0;
+  let playing = false;
+  let current = -1;
+
+  const stepAt = (t) => {
+    let index = 0;
+    while (index < steps.length - 1 && steps[index + 1].start <= t) index++;
+    return index;
+  };
+
+  const load = (next) => {
+    sequence = next;
+    steps = sequenceSteps(sequence);
+    length = steps.reduce((sum, step) => sum + step.duration + step.hold, 0);
+    time = Math.min(time, length);
+    // While playing, an edit must not restart the step under way; otherwise the next play() starts it
+    current = playing && steps.length > 0 ? stepAt(time) : -1;
+    if (steps.length === 0) playing = false;
+  };
+
+  const start = (index) => {
+    current = index;
+    const step = steps[index];
+    onStep(step.keyframe, Math.max(0, step.duration - (time - step.start)), step.ease, step.transition);
+  };
+
+  // Moves the playhead to t (seconds from the start of the first cycle)
+  const advance = (t) => {
+    if (steps.length === 0) return;
+    if (sequence.mode === 'once' && t >= length) {
+      time = length;
+      playing = false;
+      onChange();
+      return;
+    }
+    time = length > 0 ? t % length : 0;
+    const index = stepAt(time);
+    if (index !== current) start(index);
+  };
+
+  const timeline = {
+    get sequence() { return sequence; },
+    get time() { return time; },
+    get duration() { return length; },
+    get playing() { return playing; },
+
+    // Takes an edited or loaded sequence; the playhead keeps its place without restarting a morph
+    setSequence(next) {
+      load(next);
+      onChange();
+    },
+    play() {
+      if (steps.length === 0) return;
+      if (sequence.mode === 'once' && time >= length) {
+        time = 0;
+        current = -1;
+      }
+      if (!playing) {
+        playing = true;
+        advance(time);
+      }
+      onChange();
+    },
+    pause() {
+      playing = false;
+      onChange();
+    },
+    seek(t) {
+      if (steps.length === 0) return;
+      time = Math.min(Math.max(0, t), length);
+      // A seek lands mid-show, so the step under the playhead always starts again
+      current = -1;
+      if (sequence.mode === 'once' && time >= length) {
+        start(steps.length - 1);
+      } else {
+        advance(time);
+      }
+      onChange();
+    },
+    tick(dt) {
+      if (playing) advance(time + dt);
+    }
+  };
+  load(sequence);
+  return timeline;
+}
+
+export { timelineModes, defaultKeyframe, parseSequence, sequenceSteps, createTimeline };
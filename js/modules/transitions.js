@@ -0,0 +1,304 @@
+import { defaultEase, getEase } from './easing.js';
+
+// =================================================================================================
+// Transition Styles
+// =================================================================================================
+// How particles travel during a morph. A transition is { "style", ...params } - any parameter left
+// out takes its default:
+//   direct   every particle sets off at once along a straight line
+//   stagger  particles set off one after another: outward from the center, inward from the edge,
+//            in a sweep along an axis or at random
+//   explode  the shape bursts outward, then the particles regroup into the new one
+//   vortex   particles spiral around an axis through the shapes
+//   wave     a front crosses the shapes - a ring from the center or a plane along an axis - and
+//            particles ride its crest to their new place
+// A timeline keyframe's transition wins over the shape's "transition" in shapes.json, which wins
+// over the Transitions panel.
+// Progress is linear from 0 to 1; each particle eases its own part of it, so a staggered morph
+// keeps the ease of a plain one. Kept free of the 'three' import, like easing.js.
+
+const TAU = Math.PI * 2;
+const AXES = ['x', 'y', 'z'];
+
+const transitionStyles = {
+  direct: { label: 'Direct', params: {} },
+  stagger: {
+    label: 'Stagger',
+    params: {
+      order: { label: 'Order', options: ['outward', 'inward', 'sweep', 'random'], value: 'outward' },
+      axis: { label: 'Sweep Axis', options: ['x', 'y', 'z', '-x', '-y', '-z'], value: '-y' },
+      spread: { label: 'Spread', min: 0, max: 0.9, step: 0.05, value: 0.6 }
+    }
+  },
+  explode: {
+    label: 'Explode & Reassemble',
+    params: {
+      strength: { label: 'Burst Size', min: 0.2, max: 4, step: 0.1, value: 1.5 },
+      split: { label: 'Burst Share', min: 0.1, max: 0.9, step: 0.05, value: 0.4 },
+      scatter: { label: 'Scatter', min: 0, max: 1, step: 0.05, value: 0.4 }
+    }
+  },
+  vortex: {
+    label: 'Vortex',
+    params: {
+      axis: { label: 'Axis', options: ['x', 'y', 'z'], value: 'y' },
+      turns: { label: 'Turns', min: 0, max: 4, step: 1, value: 1 },
+      pull: { label: 'Pull', min: 0, max: 1, step: 0.05, value: 0.5 }
+    }
+  },
+  wave: {
+    label: 'Wave Front',
+    params: {
+      front: { label: 'Front', options: ['ring', 'x', 'y', 'z', '-x', '-y', '-z'], value: 'ring' },
+      width: { label: 'Width', min: 0.1, max: 1, step: 0.05, value: 0.3 },
+      amplitude: { label: 'Crest Height', min: 0, max: 1, step: 0.05, value: 0.25 }
+    }
+  }
+};
+
+const defaultTransition = { style: 'direct' };
+
+// The style's parameters with defaults filled in, as { style, ...params }
+function transitionDefaults(style) {
+  const { params } = transitionStyles[style] || transitionStyles.direct;
+  const values = { style: transitionStyles[style] ? style : 'direct' };
+  Object.entries(params).forEach(([key, param]) => { values[key] = param.value; });
+  return values;
+}
+
+// Validates a transition read from JSON: a style name, or { "style", ...params }
+function parseTransition(value, where = 'transition') {
+  const transition = typeof value === 'string' ? { style: value } : value;
+  if (!transition || typeof transition !== 'object') throw new Error(`${where}: expected a style name or { "style", ...params }`);
+  const style = transitionStyles[transition.style];
+  if (!style) {
+    throw new Error(`${where}.style: unknown style ${JSON.stringify(transition.style)} (use ${Object.keys(transitionStyles).join(', ')})`);
+  }
+  Object.entries(transition).forEach(([key, v]) => {
+    if (key === 'style') return;
+    const param = style.params[key];
+    if (!param) throw new Error(`${where}.${key}: ${transition.style} has no such parameter`);
+    if (param.options) {
+      if (!param.options.includes(v)) throw new Error(`${where}.${key}: expected one of ${param.options.join(', ')}`);
+    } else if (!(typeof v === 'number' && v >= param.min && v <= param.max)) {
+      throw new Error(`${where}.${key}: expected a number from ${param.min} to ${param.max}`);
+    }
+  });
+  return { ...transition };
+}
+
+// =================================================================================================
+// Paths
+// =================================================================================================
+
+// Center and size of the start and end shapes together
+function shapeFrame(from, to, count) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const positions of [from, to]) {
+    for (let i = 0; i < count * 3; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], positions[i + k]);
+        max[k] = Math.max(max[k], positions[i + k]);
+      }
+    }
+  }
+  if (count === 0) return { min: [0, 0, 0], max: [0, 0, 0], center: [0, 0, 0], radius: 1 };
+  const center = min.map((v, k) => (v + max[k]) / 2);
+  const radius = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2 || 1;
+  return { min, max, center, radius };
+}
+
+// 'y' or '-y' as an axis index and a direction
+function parseAxis(axis) {
+  const sign = axis[0] === '-' ? -1 : 1;
+  return { k: AXES.indexOf(axis.slice(-1)), sign };
+}
+
+// Per particle 0-1 order of departure, by where the particle starts
+function departureKeys(from, count, frame, order, axis) {
+  const keys = new Float32Array(count);
+  if (order === 'random') {
+    for (let i = 0; i < count; i++) keys[i] = Math.random();
+    return keys;
+  }
+  if (order === 'sweep') {
+    const { k, sign } = parseAxis(axis);
+    const range = frame.max[k] - frame.min[k] || 1;
+    for (let i = 0; i < count; i++) {
+      const t = (from[i * 3 + k] - frame.min[k]) / range;
+      keys[i] = sign > 0 ? t : 1 - t;
+    }
+    return keys;
+  }
+  let farthest = 0;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    keys[i] = Math.hypot(from[i3] - frame.center[0], from[i3 + 1] - frame.center[1], from[i3 + 2] - frame.center[2]);
+    farthest = Math.max(farthest, keys[i]);
+  }
+  for (let i = 0; i < count; i++) {
+    keys[i] = farthest > 0 ? keys[i] / farthest : 0;
+    if (order === 'inward') keys[i] = 1 - keys[i];
+  }
+  return keys;
+}
+
+function lerpPoint(out, i3, from, to, e) {
+  out[i3] = from[i3] + (to[i3] - from[i3]) * e;
+  out[i3 + 1] = from[i3 + 1] + (to[i3 + 1] - from[i3 + 1]) * e;
+  out[i3 + 2] = from[i3 + 2] + (to[i3 + 2] - from[i3 + 2]) * e;
+}
+
+// Burst points a little way out from each particle's start, away from the center
+function burstPoints(from, count, frame, { strength, scatter }) {
+  const points = new Float32Array(count * 3);
+  const distance = strength * frame.radius;
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const out = [0, 1, 2].map(k => from[i3 + k] - frame.center[k]);
+    const outLength = Math.hypot(...out) || 1;
+    // A random direction mixed in, so a shape's flat faces do not fly off as sheets
+    const z = Math.random() * 2 - 1;
+    const angle = Math.random() * TAU;
+    const ring = Math.sqrt(1 - z * z);
+    const random = [ring * Math.cos(angle), ring * Math.sin(angle), z];
+    const dir = out.map((v, k) => (v / outLength) * (1 - scatter) + random[k] * scatter);
+    const dirLength = Math.hypot(...dir) || 1;
+    const reach = distance * (0.6 + 0.4 * Math.random());
+    for (let k = 0; k < 3; k++) points[i3 + k] = from[i3 + k] + (dir[k] / dirLength) * reach;
+  }
+  return points;
+}
+
+// Each style's timing and path: starts (per-particle departure, null for all at once) and span
+// (the share of the morph each particle spends moving), and move(out, i, e, t) writing particle
+// i at eased local progress e (t is the overall linear progress)
+const stylePaths = {
+  direct(from, to) {
+    return { starts: null, span: 1, move: (out, i, e) => lerpPoint(out, i * 3, from, to, e) };
+  },
+
+  stagger(from, to, count, frame, { order, axis, spread }) {
+    const starts = departureKeys(from, count, frame, order, axis).map(key => key * spread);
+    return { starts, span: 1 - spread, move: (out, i, e) => lerpPoint(out, i * 3, from, to, e) };
+  },
+
+  // Out to the burst point in the first split of the morph, then in to the destination; both legs
+  // take the morph's ease, so particles hang at the edge of the burst before regrouping
+  explode(from, to, count, frame, params, ease) {
+    const burst = burstPoints(from, count, frame, params);
+    const { split } = params;
+    return {
+      starts: null,
+      span: 1,
+      move: (out, i, e, t) => {
+        if (t < split) lerpPoint(out, i * 3, from, burst, ease(t / split));
+        else lerpPoint(out, i * 3, burst, to, ease((t - split) / (1 - split)));
+      }
+    };
+  },
+
+  // Cylindrical coordinates around the axis: radius and height blend, the angle winds the short way
+  // round plus whole turns, and pull draws particles toward the axis mid-flight
+  vortex(from, to, count, frame, { axis, turns, pull }) {
+    const k = AXES.indexOf(axis);
+    const u = (k + 1) % 3;
+    const v = (k + 2) % 3;
+    // Start and end radius, start angle and how far the angle winds
+    const radii = new Float32Array(count * 2);
+    const angles = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      const a0 = Math.atan2(from[i3 + v] - frame.center[v], from[i3 + u] - frame.center[u]);
+      const a1 = Math.atan2(to[i3 + v] - frame.center[v], to[i3 + u] - frame.center[u]);
+      let delta = (a1 - a0) % TAU;
+      if (delta > Math.PI) delta -= TAU;
+      if (delta < -Math.PI) delta += TAU;
+      radii[i * 2] = Math.hypot(from[i3 + u] - frame.center[u], from[i3 + v] - frame.center[v]);
+      radii[i * 2 + 1] = Math.hypot(to[i3 + u] - frame.center[u], to[i3 + v] - frame.center[v]);
+      angles[i * 2] = a0;
+      angles[i * 2 + 1] = delta + turns * TAU;
+    }
+    return {
+      starts: null,
+      span: 1,
+      move: (out, i, e) => {
+        const i3 = i * 3;
+        const angle = angles[i * 2] + angles[i * 2 + 1] * e;
+        const r = (radii[i * 2] + (radii[i * 2 + 1] - radii[i * 2]) * e) * (1 - pull * Math.sin(Math.PI * e));
+        out[i3 + k] = from[i3 + k] + (to[i3 + k] - from[i3 + k]) * e;
+        out[i3 + u] = frame.center[u] + r * Math.cos(angle);
+        out[i3 + v] = frame.center[v] + r * Math.sin(angle);
+      }
+    };
+  },
+
+  // Particles set off as the front reaches them and are pushed along its direction of travel by a
+  // crest that peaks halfway through their flight
+  wave(from, to, count, frame, { front, width, amplitude }) {
+    const ring = front === 'ring';
+    const keys = departureKeys(from, count, frame, ring ? 'outward' : 'sweep', front);
+    const starts = keys.map(key => key * (1 - width));
+    const height = amplitude * frame.radius;
+    const { k, sign } = ring ? { k: -1, sign: 1 } : parseAxis(front);
+    return {
+      starts,
+      span: width,
+      move: (out, i, e) => {
+        const i3 = i * 3;
+        lerpPoint(out, i3, from, to, e);
+        const crest = height * Math.sin(Math.PI * e);
+        if (crest === 0) return;
+        if (!ring) {
+          out[i3 + k] += sign * crest;
+          return;
+        }
+        const dx = out[i3] - frame.center[0];
+        const dy = out[i3 + 1] - frame.center[1];
+        const dz = out[i3 + 2] - frame.center[2];
+        const length = Math.hypot(dx, dy, dz) || 1;
+        out[i3] += (dx / length) * crest;
+        out[i3 + 1] += (dy / length) * crest;
+        out[i3 + 2] += (dz / length) * crest;
+      }
+    };
+  }
+};
+
+// A morph from the positions in from to those in to (flat xyz arrays; from must be a copy the
+// morph will not overwrite) in the given transition and ease. apply(out, t) writes every particle
+// at overall progress t; follow(start, end) gives the same for another per-particle vector, such as
+// normals, blended in step with each particle but without the path.
+function createTransition(from, to, transition = defaultTransition, ease = defaultEase) {
+  const params = { ...transitionDefaults(transition.style), ...transition };
+  const easing = getEase(ease);
+  const count = Math.min(from.length, to.length) / 3;
+  const frame = shapeFrame(from, to, count);
+  const { starts, span, move } = stylePaths[params.style](from, to, count, frame, params, easing);
+
+  const localProgress = (i, t) => {
+    if (!starts) return t;
+    return span > 0 ? Math.min(1, Math.max(0, (t - starts[i]) / span)) : (t >= starts[i] ? 1 : 0);
+  };
+
+  const follow = (start, end) => ({
+    apply(out, t) {
+      for (let i = 0; i < count; i++) lerpPoint(out, i * 3, start, end, easing(localProgress(i, t)));
+    }
+  });
+
+  return {
+    apply(out, t) {
+      // The last frame lands exactly on the destination, whatever the path did on the way
+      if (t >= 1) {
+        out.set(to.subarray(0, count * 3));
+        return;
+      }
+      for (let i = 0; i < count; i++) move(out, i, easing(localProgress(i, t)), t);
+    },
+    follow
+  };
+}
+
+export { transitionStyles, defaultTransition, transitionDefaults, parseTransition, createTransition };
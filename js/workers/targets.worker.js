@@ -0,0 +1,112 @@
+// Parses and samples GLB/GLTF targets off the main thread.
+// Import maps do not reach workers, so three comes from the copies in js/libs/three (the version
+// the page maps); the samplers are the page's own three-free modules.
+import { GLTFLoader } from '../libs/three/GLTFLoader.js';
+import { DRACOLoader } from '../libs/three/DRACOLoader.js';
+import { MeshoptDecoder } from '../libs/meshopt_decoder.module.js';
+import {
+  extractMeshes, describeNodes, applyNodeSettings, samplePoints, sampleColors, sampleNormals
+} from '../modules/sampling.js';
+
+// =================================================================================================
+// Protocol
+// =================================================================================================
+// in:  { id, url, buffer, totalPoints, scale, sampling, placement, nodes }
+//        sample a file - buffer holds its bytes if the page already read them, else url is fetched
+//      { cancel: id }
+//        a newer request replaced it
+// out: { id, positions, colors, normals, nodeTree, sourceNodes, particleNodes }
+//                                           arrays are transferred
+//      { id, fallback: 'rig' }              animated - needs a live rig on the page
+//      { id, fallback: 'error', message }   the page retries with its own loaders
+// Cancelled requests get no reply; the page has already moved on. A cancel takes effect at the
+// next await (after the download, after parsing) - the sampling pass itself runs to the end, as a
+// worker takes no messages while it computes.
+
+const DRACO_DECODER_PATH = new URL('../libs/draco/', import.meta.url).href;
+
+// Requests under way, and those of them the page has cancelled
+const pending = new Set();
+const cancelled = new Set();
+let gltfLoader = null;
+
+// No KTX2 loader here - it needs the renderer, so basisu files fall back to the page
+function getGLTFLoader() {
+  if (!gltfLoader) {
+    const dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+    gltfLoader = new GLTFLoader();
+    gltfLoader.setDRACOLoader(dracoLoader);
+    gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+  }
+  return gltfLoader;
+}
+
+class Cancelled extends Error {}
+
+function checkCancelled(id) {
+  if (cancelled.has(id)) throw new Cancelled();
+}
+
+async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+  return response.arrayBuffer();
+}
+
+async function sampleFile({ id, url, buffer, totalPoints, scale, sampling, placement, nodes }) {
+  if (!buffer) {
+    buffer = await fetchBytes(url);
+    checkCancelled(id);
+  }
+
+  const gltf = await getGLTFLoader().parseAsync(buffer, url.slice(0, url.lastIndexOf('/') + 1));
+  checkCancelled(id);
+
+  const allMeshes = extractMeshes(gltf.scene);
+  if (gltf.animations.length > 0 || allMeshes.some(({ object }) => object.morphTargetInfluences)) {
+    return { id, fallback: 'rig' };
+  }
+  // Also covers every node being excluded - the page reports it with its own wording
+  const { meshes, weights } = applyNodeSettings(allMeshes, nodes);
+  if (meshes.length === 0) {
+    throw new Error(`${url}: no meshes`);
+  }
+
+  const samples = samplePoints(meshes, totalPoints, scale, sampling, placement, weights);
+  return {
+    id,
+    positions: samples.positions,
+    colors: sampleColors(meshes, samples),
+    normals: sampleNormals(meshes, samples),
+    nodeTree: describeNodes(gltf.scene),
+    sourceNodes: meshes.map(mesh => mesh.node),
+    particleNodes: Int32Array.from(samples.mesh)
+  };
+}
+
+self.onmessage = async ({ data }) => {
+  if (data.cancel !== undefined) {
+    // A cancel for a request that already finished has nothing left to stop
+    if (pending.has(data.cancel)) cancelled.add(data.cancel);
+    return;
+  }
+
+  pending.add(data.id);
+  try {
+    const result = await sampleFile(data);
+    const transfer = result.positions
+      ? [result.positions.buffer, result.colors.buffer, result.normals.buffer, result.particleNodes.buffer]
+      : [];
+    self.postMessage(result, transfer);
+  } catch (error) {
+    if (!(error instanceof Cancelled)) {
+      self.postMessage({ id: data.id, fallback: 'error', message: error.message });
+    }
+  } finally {
+    pending.delete(data.id);
+    cancelled.delete(data.id);
+  }
+};
@@ -0,0 +1,279 @@
+// Bakes the GLB/GLTF shapes listed in shapes.json (the models in glb/) into binary point files the
+// page loads without downloading or parsing the models - see js/modules/baked.js for the formats.
+// Sampling runs through the page's own sampling.js with each shape's manifest settings, so the
+// result is what createGLBPoints would produce for the same particle count.
+//
+//   node tools/bake-targets.mjs [--manifest shapes.json] [--out baked] [--points 2500,1500] [--quantize]
+//
+// --points  particle counts to bake; the page uses a file only at exactly its count (defaults
+//           cover the desktop and mobile starting counts)
+// --quantize  16-bit positions, colors and normals - about half the size, sub-millimetre error at
+//           the default scale
+//
+// Dependencies are pinned in tools/package.json: npm ci in tools/, then npm run bake (arguments
+// after --) or the command above from the repo root. Draco-compressed models are decoded with
+// draco3dgltf. Textures are decoded with sharp, an optional dependency; without it the baked
+// colors only carry material and vertex colors. Animated models are skipped - they need a live rig
+// on the page. Re-run after changing a model, its manifest entry or the sampling code.
+
+import { readFile, writeFile, mkdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { DataTexture, RGBAFormat } from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from '../js/libs/meshopt_decoder.module.js';
+import {
+  defaultSampling, extractMeshes, describeNodes, applyNodeSettings, samplePoints, sampleColors, sampleNormals
+} from '../js/modules/sampling.js';
+import { defaultPlacement } from '../js/modules/placement.js';
+import { CACHE_VERSION } from '../js/modules/targetcache.js';
+import { encodeBakedTarget } from '../js/modules/baked.js';
+
+const DEFAULT_POINTS = [2500, 1500];
+// shapeDefaults.scale in main.js - file shapes without their own scale
+const DEFAULT_SCALE = 12.0;
+const BAKED_FORMATS = ['.glb', '.gltf'];
+// readTexturePixels' limit on the page
+const MAX_TEXTURE_SIZE = 1024;
+
+function parseArguments(argv) {
+  const options = { manifest: 'shapes.json', out: 'baked', points: DEFAULT_POINTS, quantize: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--quantize') {
+      options.quantize = true;
+    } else if (arg === '--manifest' || arg === '--out') {
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--points') {
+      options.points = String(argv[++i]).split(',').map(Number);
+      if (!options.points.every(n => Number.isInteger(n) && n > 0)) throw new Error('--points takes positive integers, e.g. 2500,1500');
+    } else {
+      throw new Error(`unknown argument ${arg}`);
+    }
+  }
+  return options;
+}
+
+// The same merge manifest.js does for a file shape; the page checks the result against its own
+// config, so a mismatch here only means the baked file goes unused
+function shapeSettings(shape) {
+  const placement = { ...defaultPlacement };
+  ['normalize', 'center', 'rotation', 'offset'].forEach(key => {
+    if (shape[key] !== undefined) placement[key] = shape[key];
+  });
+  if (shape.up !== undefined) placement.up = String(shape.up).toLowerCase();
+  return {
+    scale: shape.scale !== undefined ? shape.scale : DEFAULT_SCALE,
+    sampling: { ...defaultSampling, ...shape.sampling },
+    placement,
+    nodes: shape.nodes || {}
+  };
+}
+
+// =================================================================================================
+// Model Loading
+// =================================================================================================
+
+let sharp = null;
+try {
+  sharp = (await import('sharp')).default;
+} catch (error) {
+  console.warn('sharp is not installed - baking without textures');
+}
+
+let draco = null;
+try {
+  draco = await (await import('draco3dgltf')).default.createDecoderModule();
+} catch (error) {
+  console.warn('draco3dgltf is not installed - skipping Draco-compressed models');
+}
+
+// DRACOLoader decodes in Web Workers, which Node does not have; this one runs the same decoding
+// (from DRACOLoader's worker) in-process on the draco3dgltf module
+class NodeDRACOLoader extends DRACOLoader {
+  preload() {
+    return this;
+  }
+
+  async decodeGeometry(buffer, { attributeIDs, attributeTypes }) {
+    const decoder = new draco.Decoder();
+    const array = new Int8Array(buffer);
+    const mesh = new draco.Mesh();
+    try {
+      if (decoder.GetEncodedGeometryType(array) !== draco.TRIANGULAR_MESH) throw new Error('Draco point clouds are not supported');
+      const status = decoder.DecodeArrayToMesh(array, array.byteLength, mesh);
+      if (!status.ok() || mesh.ptr === 0) throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+
+      // Copies a typed array out of the decoder's heap
+      const read = (ArrayType, length, fill) => {
+        const ptr = draco._malloc(length * ArrayType.BYTES_PER_ELEMENT);
+        fill(ptr, length * ArrayType.BYTES_PER_ELEMENT);
+        const values = new ArrayType(draco.HEAPF32.buffer, ptr, length).slice();
+        draco._free(ptr);
+        return values;
+      };
+      const dataTypes = new Map([
+        [Float32Array, draco.DT_FLOAT32], [Int8Array, draco.DT_INT8], [Int16Array, draco.DT_INT16],
+        [Int32Array, draco.DT_INT32], [Uint8Array, draco.DT_UINT8], [Uint16Array, draco.DT_UINT16],
+        [Uint32Array, draco.DT_UINT32]
+      ]);
+
+      // glTF always identifies attributes by unique id
+      const attributes = Object.entries(attributeIDs).map(([name, id]) => {
+        const ArrayType = globalThis[attributeTypes[name]];
+        const attribute = decoder.GetAttributeByUniqueId(mesh, id);
+        const itemSize = attribute.num_components();
+        const array = read(ArrayType, mesh.num_points() * itemSize, (ptr, bytes) => {
+          decoder.GetAttributeDataArrayForAllPoints(mesh, attribute, dataTypes.get(ArrayType), bytes, ptr);
+        });
+        return { name, array, itemSize };
+      });
+      const index = read(Uint32Array, mesh.num_faces() * 3, (ptr, bytes) => decoder.GetTrianglesUInt32Array(mesh, bytes, ptr));
+      return this._createGeometry({ index: { array: index, itemSize: 1 }, attributes });
+    } finally {
+      draco.destroy(mesh);
+      draco.destroy(decoder);
+    }
+  }
+}
+
+// Stands in for textures that cannot be decoded, leaving the material's own color
+function whiteTexture() {
+  return new DataTexture(new Uint8ClampedArray([255, 255, 255, 255]), 1, 1, RGBAFormat);
+}
+
+// GLTFLoader only decodes images through the DOM; this plugin hands it raw RGBA DataTextures
+// instead, which sampling.js reads directly
+function textureDecoderPlugin(parser) {
+  return {
+    name: 'BAKE_texture_decoder',
+    async loadTexture(textureIndex) {
+      const { json } = parser;
+      const image = json.images[json.textures[textureIndex].source];
+      if (!sharp || image.bufferView === undefined) return whiteTexture();
+
+      const bytes = await parser.getDependency('bufferView', image.bufferView);
+      const { data, info } = await sharp(Buffer.from(bytes))
+        .resize({ width: MAX_TEXTURE_SIZE, height: MAX_TEXTURE_SIZE, fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const texture = new DataTexture(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height, RGBAFormat);
+      texture.flipY = false;
+      texture.needsUpdate = true;
+      return texture;
+    }
+  };
+}
+
+async function loadScene(file) {
+  const bytes = await readFile(file);
+  const loader = new GLTFLoader().setMeshoptDecoder(MeshoptDecoder);
+  if (draco) loader.setDRACOLoader(new NodeDRACOLoader());
+  loader.register(textureDecoderPlugin);
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  let gltf;
+  try {
+    gltf = await loader.parseAsync(buffer, path.dirname(file) + path.sep);
+  } catch (error) {
+    if (!draco && /DRACOLoader/.test(error.message)) throw new Skipped('Draco-compressed - needs draco3dgltf (npm ci in tools/)');
+    throw error;
+  }
+  gltf.scene.updateMatrixWorld(true);
+  return gltf;
+}
+
+// =================================================================================================
+// Baking
+// =================================================================================================
+
+// A shape left to the page on purpose, as opposed to one that failed
+class Skipped extends Error {}
+
+async function bakeShape(shape, index, file, options) {
+  const gltf = await loadScene(file);
+  const allMeshes = extractMeshes(gltf.scene);
+  if (gltf.animations.length > 0 || allMeshes.some(({ object }) => object.morphTargetInfluences)) {
+    throw new Skipped('animated - sampled on the page so it keeps its rig');
+  }
+  const settings = shapeSettings(shape);
+  const { meshes, weights } = applyNodeSettings(allMeshes, settings.nodes);
+  if (meshes.length === 0) throw new Error('no meshes to sample');
+
+  const nodeTree = describeNodes(gltf.scene);
+  const sourceNodes = meshes.map(mesh => mesh.node);
+  const base = `${String(index).padStart(2, '0')}-${path.basename(file, path.extname(file))}`;
+  const entries = [];
+  for (const points of options.points) {
+    const samples = samplePoints(meshes, points, settings.scale, settings.sampling, settings.placement, weights);
+    const target = {
+      positions: samples.positions,
+      colors: sampleColors(meshes, samples),
+      normals: sampleNormals(meshes, samples),
+      particleNodes: Int32Array.from(samples.mesh)
+    };
+    const name = `${base}-${points}.bin`;
+    const bytes = encodeBakedTarget(target, options.quantize);
+    await writeFile(path.join(options.out, name), new Uint8Array(bytes));
+    console.log(`  ${name}  ${points} points, ${(bytes.byteLength / 1024).toFixed(0)} KB`);
+    entries.push({
+      source: path.relative(options.out, file).split(path.sep).join('/'),
+      file: name,
+      points,
+      ...settings,
+      quantized: options.quantize,
+      nodeTree,
+      sourceNodes
+    });
+  }
+  return entries;
+}
+
+// Removes point files the previous bake listed that this one did not write again
+async function removeStaleFiles(manifestFile, targets) {
+  let previous;
+  try {
+    previous = JSON.parse(await readFile(manifestFile, 'utf8'));
+  } catch (error) {
+    return;
+  }
+  const written = new Set(targets.map(entry => entry.file));
+  for (const entry of previous.targets || []) {
+    if (!written.has(entry.file)) await unlink(path.join(path.dirname(manifestFile), entry.file)).catch(() => {});
+  }
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const manifest = JSON.parse(await readFile(options.manifest, 'utf8'));
+  const baseDir = path.dirname(options.manifest);
+  await mkdir(options.out, { recursive: true });
+
+  const targets = [];
+  let failures = 0;
+  for (const [index, shape] of manifest.shapes.entries()) {
+    if (typeof shape.file !== 'string') continue;
+    const format = shape.format ? `.${String(shape.format).toLowerCase()}` : path.extname(shape.file).toLowerCase();
+    if (!BAKED_FORMATS.includes(format)) continue;
+
+    const file = path.join(baseDir, shape.file);
+    console.log(`${shape.name || shape.file} (${file})`);
+    try {
+      targets.push(...await bakeShape(shape, index, file, options));
+    } catch (error) {
+      console.warn(`  skipped: ${error.message}`);
+      if (!(error instanceof Skipped)) failures++;
+    }
+  }
+
+  const manifestFile = path.join(options.out, 'manifest.json');
+  await removeStaleFiles(manifestFile, targets);
+  await writeFile(manifestFile, JSON.stringify({ version: CACHE_VERSION, targets }, null, 2) + '\n');
+  console.log(`Wrote ${targets.length} targets to ${manifestFile}`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});